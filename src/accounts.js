@@ -0,0 +1,65 @@
+// Copyright © 2017-2020 Trust Wallet.
+//
+// This file is part of Trust. The full Trust copyright notice, including
+// terms governing use, modification, and redistribution, is contained in the
+// file LICENSE at the root of the source code distribution tree.
+
+"use strict";
+
+import Utils from "./utils";
+
+/**
+ * Ordered authorized accounts per origin, the first one is the selected account.
+ * Addresses are kept lowercase, formatting happens on the way out.
+ */
+class AccountStore {
+  constructor(checksum = false) {
+    this.checksum = checksum;
+    this.accounts = new Map();
+  }
+
+  get(origin) {
+    return this.accounts.get(origin) || [];
+  }
+
+  /**
+   * Returns true when the list for the origin actually changed.
+   */
+  set(origin, accounts) {
+    const normalized = AccountStore.normalize(accounts);
+    if (AccountStore.equals(this.get(origin), normalized)) {
+      return false;
+    }
+    if (normalized.length === 0) {
+      this.accounts.delete(origin);
+    } else {
+      this.accounts.set(origin, normalized);
+    }
+    return true;
+  }
+
+  has(origin, address) {
+    return !!address && this.get(origin).indexOf(address.toLowerCase()) !== -1;
+  }
+
+  format(accounts) {
+    return this.checksum ? accounts.map(Utils.toChecksumAddress) : accounts.slice();
+  }
+
+  static normalize(accounts) {
+    const normalized = [];
+    (accounts || []).forEach((address) => {
+      const lower = (address || "").toLowerCase();
+      if (lower && normalized.indexOf(lower) === -1) {
+        normalized.push(lower);
+      }
+    });
+    return normalized;
+  }
+
+  static equals(a, b) {
+    return a.length === b.length && a.every((address, i) => address === b[i]);
+  }
+}
+
+module.exports = AccountStore;
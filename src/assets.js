@@ -0,0 +1,244 @@
+// Copyright © 2017-2020 Trust Wallet.
+//
+// This file is part of Trust. The full Trust copyright notice, including
+// terms governing use, modification, and redistribution, is contained in the
+// file LICENSE at the root of the source code distribution tree.
+
+"use strict";
+
+import { Buffer } from "buffer";
+import { rawDecode, rawEncode } from "ethereumjs-abi";
+import { BN } from "ethereumjs-util";
+import ProviderRpcError from "./error";
+
+const ADDRESS_PATTERN = /^0x[0-9a-fA-F]{40}$/;
+const TYPES = ["ERC20", "ERC721", "ERC1155"];
+const MAX_SYMBOL_LENGTH = 11;
+const MAX_DECIMALS = 36;
+
+const SELECTORS = {
+  symbol: "0x95d89b41",
+  decimals: "0x313ce567",
+  ownerOf: "0x6352211e",
+  balanceOf: "0x00fdd58e",
+  supportsInterface: "0x01ffc9a7",
+};
+
+// the request is wrong, as opposed to the node failing us
+const REJECTIONS = [ProviderRpcError.codes.rpc.invalidParams, ProviderRpcError.codes.provider.unauthorized];
+
+// ERC-165 interface ids
+const INTERFACES = {
+  ERC721: "80ac58cd",
+  ERC1155: "d9b67a26",
+};
+
+/**
+ * EIP-747 wallet_watchAsset, validates the request and checks it against the contract
+ * so a spoofed symbol or decimals never reaches the prompt.
+ */
+class AssetVerifier {
+  constructor(provider) {
+    this.provider = provider;
+  }
+
+  get rpc() {
+    return this.provider.rpc;
+  }
+
+  /**
+   * params: {type, options} per EIP-747, a one item list of it is accepted too.
+   * legacyType is the top level payload.type older dapps send.
+   */
+  static parse(params, legacyType) {
+    const request = Array.isArray(params) ? params[0] : params;
+    if (!request || typeof request !== "object") {
+      throw ProviderRpcError.invalidParams("wallet_watchAsset expects {type, options}");
+    }
+    const type = String(request.type || legacyType || "").toUpperCase();
+    if (TYPES.indexOf(type) === -1) {
+      throw ProviderRpcError.invalidParams(`asset type ${request.type || legacyType} is not supported`);
+    }
+    const options = request.options;
+    if (!options || typeof options !== "object") {
+      throw ProviderRpcError.invalidParams("wallet_watchAsset requires options");
+    }
+    if (typeof options.address !== "string" || !ADDRESS_PATTERN.test(options.address)) {
+      throw ProviderRpcError.invalidParams(`invalid asset address: ${options.address}`);
+    }
+    if (options.symbol !== undefined && !AssetVerifier.isValidSymbol(options.symbol)) {
+      throw ProviderRpcError.invalidParams(`symbol must be 1 to ${MAX_SYMBOL_LENGTH} characters`);
+    }
+    const decimals = options.decimals === undefined ? undefined : Number(options.decimals);
+    if (decimals !== undefined && (!Number.isInteger(decimals) || decimals < 0 || decimals > MAX_DECIMALS)) {
+      throw ProviderRpcError.invalidParams(`decimals must be an integer between 0 and ${MAX_DECIMALS}`);
+    }
+    if (options.image !== undefined && typeof options.image !== "string") {
+      throw ProviderRpcError.invalidParams("image must be a url string");
+    }
+
+    const asset = {
+      type: type,
+      address: options.address,
+      symbol: options.symbol,
+      decimals: decimals,
+      image: options.image || "",
+    };
+    if (type !== "ERC20") {
+      asset.tokenId = AssetVerifier.parseTokenId(options.tokenId);
+    } else if (options.tokenId !== undefined) {
+      throw ProviderRpcError.invalidParams("ERC20 assets don't take a tokenId");
+    }
+    return asset;
+  }
+
+  static isValidSymbol(symbol) {
+    return typeof symbol === "string" && symbol.length > 0 && symbol.length <= MAX_SYMBOL_LENGTH;
+  }
+
+  static parseTokenId(tokenId) {
+    let value = typeof tokenId === "number" ? String(tokenId) : tokenId;
+    if (typeof value === "string" && /^0x[0-9a-fA-F]+$/.test(value)) {
+      value = new BN(value.slice(2), 16).toString(10);
+    }
+    if (typeof value !== "string" || !/^[0-9]+$/.test(value)) {
+      throw ProviderRpcError.invalidParams(`tokenId must be a decimal or hex string, got ${tokenId}`);
+    }
+    return new BN(value, 10).toString(10);
+  }
+
+  /**
+   * Resolves with the asset completed from the contract, verified is false when the node couldn't tell.
+   * Rejects with -32602 when the contract contradicts the request, collectibles must belong to an account of origin.
+   */
+  verify(asset, origin = this.provider.origin) {
+    return this.rpc.getCode(asset.address, "latest").then((code) => {
+      if (!code || code === "0x") {
+        throw ProviderRpcError.invalidParams(`${asset.address} is not a contract`);
+      }
+      return asset.type === "ERC20" ? this.verifyToken(asset) : this.verifyCollectible(asset, origin);
+    }).catch((error) => {
+      if (REJECTIONS.indexOf(error.code) !== -1) {
+        throw error;
+      }
+      if (asset.type === "ERC20" && (asset.symbol === undefined || asset.decimals === undefined)) {
+        // nothing to show without the contract
+        throw error;
+      }
+      // node trouble, let native show it as unverified rather than failing
+      return Object.assign({}, asset, { verified: false });
+    });
+  }
+
+  verifyToken(asset) {
+    return Promise.all([this.readString(asset.address, "symbol"), this.readNumber(asset.address, "decimals")]).then(
+      ([symbol, decimals]) => {
+        if (symbol !== null && asset.symbol !== undefined && symbol.toUpperCase() !== asset.symbol.toUpperCase()) {
+          throw ProviderRpcError.invalidParams(
+            `The symbol in the request (${asset.symbol}) does not match the symbol in the contract (${symbol})`
+          );
+        }
+        if (decimals !== null && asset.decimals !== undefined && decimals !== asset.decimals) {
+          throw ProviderRpcError.invalidParams(
+            `The decimals in the request (${asset.decimals}) do not match the decimals in the contract (${decimals})`
+          );
+        }
+        const result = Object.assign({}, asset, {
+          symbol: symbol !== null && AssetVerifier.isValidSymbol(symbol) ? symbol : asset.symbol,
+          decimals: decimals !== null ? decimals : asset.decimals,
+          verified: symbol !== null && decimals !== null,
+        });
+        if (!AssetVerifier.isValidSymbol(result.symbol) || result.decimals === undefined) {
+          throw ProviderRpcError.invalidParams("symbol and decimals are required when the contract doesn't expose them");
+        }
+        return result;
+      }
+    );
+  }
+
+  verifyCollectible(asset, origin = this.provider.origin) {
+    const owner = this.provider.getAccounts(origin)[0];
+    if (!owner) {
+      throw ProviderRpcError.unauthorized("collectibles can only be watched by a connected account");
+    }
+    const tokenId = new BN(asset.tokenId, 10);
+    const interfaceId = Buffer.from(INTERFACES[asset.type] + "00".repeat(28), "hex");
+    // ownerOf reverts for tokens that don't exist
+    const ownership =
+      asset.type === "ERC721"
+        ? this.ethCall(asset.address, "ownerOf", ["uint256"], [tokenId]).then(
+            (data) => ("0x" + rawDecode(["address"], data)[0]).toLowerCase() === owner.toLowerCase()
+          )
+        : this.ethCall(asset.address, "balanceOf", ["address", "uint256"], [owner, tokenId]).then(
+            (data) => !rawDecode(["uint256"], data)[0].isZero()
+          );
+
+    return Promise.all([
+      this.ethCall(asset.address, "supportsInterface", ["bytes4"], [interfaceId])
+        .then((data) => rawDecode(["bool"], data)[0])
+        .catch(AssetVerifier.notImplemented),
+      this.readString(asset.address, "symbol"),
+      ownership.catch(AssetVerifier.notImplemented),
+    ]).then(([supported, symbol, owned]) => {
+      // null is a pre ERC-165 contract, only an explicit false rules it out
+      if (supported === false) {
+        throw ProviderRpcError.invalidParams(`${asset.address} is not an ${asset.type} contract`);
+      }
+      if (symbol !== null && asset.symbol !== undefined && symbol.toUpperCase() !== asset.symbol.toUpperCase()) {
+        throw ProviderRpcError.invalidParams(
+          `The symbol in the request (${asset.symbol}) does not match the symbol in the contract (${symbol})`
+        );
+      }
+      if (!owned) {
+        throw ProviderRpcError.invalidParams(`token ${asset.tokenId} is not owned by ${owner}`);
+      }
+      return Object.assign({}, asset, { symbol: symbol !== null ? symbol : asset.symbol, verified: supported === true });
+    });
+  }
+
+  /**
+   * string or bytes32 (e.g. MKR) return value, null when the contract doesn't implement it
+   */
+  readString(address, method) {
+    return this.ethCall(address, method)
+      .then((data) => {
+        if (data.length === 32) {
+          return data.toString("utf8").replace(/\0+$/, "");
+        }
+        return rawDecode(["string"], data)[0];
+      })
+      .catch(AssetVerifier.notImplemented);
+  }
+
+  readNumber(address, method) {
+    return this.ethCall(address, method)
+      .then((data) => rawDecode(["uint256"], data)[0].toNumber())
+      .catch(AssetVerifier.notImplemented);
+  }
+
+  /**
+   * eth_call a view method, resolves with the return data as a Buffer
+   */
+  ethCall(address, method, types = [], values = []) {
+    const data = SELECTORS[method] + rawEncode(types, values).toString("hex");
+    return this.rpc.ethCall({ to: address, data: data }, "latest").then((result) => {
+      const buffer = Buffer.from((result || "0x").slice(2), "hex");
+      if (buffer.length === 0) {
+        throw ProviderRpcError.create(3, `${method} returned no data`);
+      }
+      return buffer;
+    });
+  }
+
+  /**
+   * Reverts and undecodable data mean the method isn't there, anything else is the node's fault.
+   */
+  static notImplemented(error) {
+    if (error.code === undefined || error.code === 3 || /revert/i.test(error.message || "")) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+module.exports = AssetVerifier;
@@ -0,0 +1,134 @@
+// Copyright © 2017-2020 Trust Wallet.
+//
+// This file is part of Trust. The full Trust copyright notice, including
+// terms governing use, modification, and redistribution, is contained in the
+// file LICENSE at the root of the source code distribution tree.
+
+"use strict";
+
+const DEFAULT_HANDLER = "ethWeb3";
+
+class Bridge {
+  constructor(handlerName = DEFAULT_HANDLER) {
+    this.handlerName = handlerName;
+  }
+
+  postMessage(message) {
+    throw new Error(`${this.constructor.name} does not implement postMessage, ${message.name} was not sent`);
+  }
+
+  /**
+   * Resolve a bridge from config, accepts an instance, a type name or nothing (auto detect).
+   * targetOrigin is the parent page's origin for the "parent" bridge.
+   */
+  static create(bridge, handlerName = DEFAULT_HANDLER, targetOrigin = null) {
+    if (bridge instanceof Bridge) {
+      return bridge;
+    }
+    if (typeof bridge === "string") {
+      const type = Bridge.types[bridge];
+      if (!type) {
+        throw new Error(`unknown bridge type: ${bridge}`);
+      }
+      return type === ParentFrameBridge ? new type(handlerName, targetOrigin) : new type(handlerName);
+    }
+    return Bridge.detect(handlerName);
+  }
+
+  static detect(handlerName = DEFAULT_HANDLER) {
+    if (WebKitBridge.isAvailable(handlerName)) {
+      return new WebKitBridge(handlerName);
+    }
+    if (AndroidBridge.isAvailable(handlerName)) {
+      return new AndroidBridge(handlerName);
+    }
+    return null;
+  }
+}
+
+// iOS WKScriptMessageHandler, accepts plain objects
+class WebKitBridge extends Bridge {
+  static isAvailable(handlerName) {
+    return !!(
+      window.webkit &&
+      window.webkit.messageHandlers &&
+      window.webkit.messageHandlers[handlerName]
+    );
+  }
+
+  postMessage(message) {
+    window.webkit.messageHandlers[this.handlerName].postMessage(message);
+  }
+}
+
+// Android @JavascriptInterface, only accepts strings
+class AndroidBridge extends Bridge {
+  static isAvailable(handlerName) {
+    return !!(
+      window[handlerName] &&
+      typeof window[handlerName].postMessage === "function"
+    );
+  }
+
+  postMessage(message) {
+    window[this.handlerName].postMessage(JSON.stringify(message));
+  }
+}
+
+// embedded in another page (desktop extension / iframe host), relays to window.parent.
+// Never detected, any page can frame a dapp, so hosts opt in with the origin allowed to read messages
+class ParentFrameBridge extends Bridge {
+  constructor(handlerName = DEFAULT_HANDLER, targetOrigin = null) {
+    super(handlerName);
+    if (!targetOrigin || targetOrigin === "*") {
+      throw new Error("ParentFrameBridge needs the parent page's origin as targetOrigin");
+    }
+    this.targetOrigin = targetOrigin;
+  }
+
+  static isAvailable() {
+    return !!window.parent && window.parent !== window;
+  }
+
+  postMessage(message) {
+    window.parent.postMessage(
+      { target: this.handlerName, data: message },
+      this.targetOrigin
+    );
+  }
+}
+
+// records messages in memory, used by tests and headless hosts
+class MemoryBridge extends Bridge {
+  constructor(handlerName = DEFAULT_HANDLER, onMessage = null) {
+    super(handlerName);
+    this.messages = [];
+    this.onMessage = onMessage;
+  }
+
+  static isAvailable() {
+    return true;
+  }
+
+  postMessage(message) {
+    this.messages.push(message);
+    if (this.onMessage) {
+      this.onMessage(message);
+    }
+  }
+}
+
+Bridge.types = {
+  webkit: WebKitBridge,
+  android: AndroidBridge,
+  parent: ParentFrameBridge,
+  memory: MemoryBridge,
+};
+
+module.exports = {
+  Bridge,
+  WebKitBridge,
+  AndroidBridge,
+  ParentFrameBridge,
+  MemoryBridge,
+};
@@ -0,0 +1,202 @@
+// Copyright © 2017-2020 Trust Wallet.
+//
+// This file is part of Trust. The full Trust copyright notice, including
+// terms governing use, modification, and redistribution, is contained in the
+// file LICENSE at the root of the source code distribution tree.
+
+"use strict";
+
+import RPCServer from "./rpc";
+import Utils from "./utils";
+
+// how long a result may live in the cache
+const PERMANENT = "permanent";
+// until the next block (or blockTTL, whichever comes first)
+const BLOCK = "block";
+// never cached, identical in-flight calls are still shared
+const NONE = "none";
+
+const DEFAULT_CACHE_OPTIONS = {
+  maxEntries: 1000,
+  // eth_blockNumber is only shared for this long
+  blockNumberTTL: 1000,
+  // safety net in case nobody polls eth_blockNumber
+  blockTTL: 4000,
+  // blocks this deep are considered final
+  confirmations: 12,
+};
+
+// methods that never go through the cache, not even deduplicated,
+// nonces and gas estimates follow the mempool, back to back transactions need fresh ones
+const UNCACHEABLE_METHODS = [
+  "eth_sendRawTransaction",
+  "eth_sendTransaction",
+  "eth_getTransactionCount",
+  "eth_estimateGas",
+];
+
+// calls against the pending block bypass the cache as well
+const PENDING_TAG = "pending";
+
+const BLOCK_TAGS = ["latest", "safe", "finalized"];
+
+/**
+ * RPCServer with a read-only response cache and in-flight request deduplication.
+ */
+class CachedRPCServer extends RPCServer {
+  constructor(rpcUrl, cacheOptions = {}, options = {}) {
+    super(rpcUrl, options);
+    this.cacheOptions = Object.assign({}, DEFAULT_CACHE_OPTIONS, cacheOptions);
+    this.cache = new Map();
+    this.inflight = new Map();
+    this.blockNumber = null;
+    this.generation = 0;
+  }
+
+  call(payload) {
+    if (
+      Array.isArray(payload) ||
+      UNCACHEABLE_METHODS.indexOf(payload.method) !== -1 ||
+      (payload.params || []).indexOf(PENDING_TAG) !== -1
+    ) {
+      return super.call(payload);
+    }
+    const key = CachedRPCServer.cacheKey(payload);
+    const cached = this.lookup(key);
+    if (cached) {
+      return Promise.resolve(Object.assign({}, cached, { id: payload.id }));
+    }
+    let request = this.inflight.get(key);
+    if (!request) {
+      const generation = this.generation;
+      request = super.call(payload)
+        .then(json => {
+          // cleared while in flight, the result is from before
+          if (generation === this.generation) {
+            this.inflight.delete(key);
+            this.store(key, payload, json);
+          }
+          return json;
+        }, error => {
+          if (generation === this.generation) {
+            this.inflight.delete(key);
+          }
+          throw error;
+        });
+      this.inflight.set(key, request);
+    }
+    return request.then(json => Object.assign({}, json, { id: payload.id }));
+  }
+
+  clear() {
+    this.generation++;
+    this.cache.clear();
+    this.inflight.clear();
+    this.blockNumber = null;
+  }
+
+  lookup(key) {
+    const entry = this.cache.get(key);
+    if (!entry) {
+      return null;
+    }
+    const age = Date.now() - entry.createdAt;
+    const expired =
+      (entry.scope === BLOCK && (entry.blockNumber !== this.blockNumber || age > this.cacheOptions.blockTTL)) ||
+      (entry.ttl && age > entry.ttl);
+    if (expired) {
+      this.cache.delete(key);
+      return null;
+    }
+    return entry.json;
+  }
+
+  store(key, payload, json) {
+    if (payload.method === "eth_blockNumber") {
+      this.updateBlockNumber(Utils.hexToInt(json.result));
+      if (this.cacheOptions.blockNumberTTL > 0) {
+        this.put(key, { scope: NONE, ttl: this.cacheOptions.blockNumberTTL, json: json });
+      }
+      return;
+    }
+    const scope = this.scopeFor(payload, json.result);
+    if (scope === NONE) {
+      return;
+    }
+    this.put(key, { scope: scope, blockNumber: this.blockNumber, json: json });
+  }
+
+  put(key, entry) {
+    entry.createdAt = Date.now();
+    this.cache.delete(key);
+    this.cache.set(key, entry);
+    // Map keeps insertion order, drop the oldest
+    while (this.cache.size > this.cacheOptions.maxEntries) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+  }
+
+  updateBlockNumber(blockNumber) {
+    if (Number.isNaN(blockNumber) || blockNumber === this.blockNumber) {
+      return;
+    }
+    this.blockNumber = blockNumber;
+    this.cache.forEach((entry, key) => {
+      if (entry.scope === BLOCK) {
+        this.cache.delete(key);
+      }
+    });
+  }
+
+  isFinal(blockNumber) {
+    return (
+      this.blockNumber !== null &&
+      blockNumber !== null &&
+      blockNumber !== undefined &&
+      Utils.hexToInt(blockNumber) <= this.blockNumber - this.cacheOptions.confirmations
+    );
+  }
+
+  scopeFor(payload, result) {
+    const params = payload.params || [];
+    if (result === null || result === undefined) {
+      // not mined / not found yet, ask again next time
+      return NONE;
+    }
+    switch (payload.method) {
+      case "eth_chainId":
+      case "net_version":
+        return PERMANENT;
+      case "eth_getCode":
+        // counterfactual smart accounts get deployed later, only code that's there stays
+        return result === "0x" ? BLOCK : PERMANENT;
+      case "eth_getBlockByHash":
+        return this.isFinal(result.number) ? PERMANENT : BLOCK;
+      case "eth_getTransactionByHash":
+      case "eth_getTransactionReceipt":
+        return this.isFinal(result.blockNumber) ? PERMANENT : NONE;
+      case "eth_getBlockByNumber":
+        return CachedRPCServer.isBlockTag(params[0]) || !this.isFinal(params[0]) ? BLOCK : PERMANENT;
+      case "eth_call":
+      case "eth_getBalance":
+      case "eth_getStorageAt":
+      case "eth_gasPrice":
+      case "eth_maxPriorityFeePerGas":
+      case "eth_feeHistory":
+      case "eth_getLogs":
+        return BLOCK;
+      default:
+        return NONE;
+    }
+  }
+
+  static isBlockTag(blockNumber) {
+    return !blockNumber || BLOCK_TAGS.indexOf(blockNumber) !== -1;
+  }
+
+  static cacheKey(payload) {
+    return `${payload.method}:${JSON.stringify(payload.params || [])}`;
+  }
+}
+
+module.exports = CachedRPCServer;
@@ -0,0 +1,240 @@
+// Copyright © 2017-2020 Trust Wallet.
+//
+// This file is part of Trust. The full Trust copyright notice, including
+// terms governing use, modification, and redistribution, is contained in the
+// file LICENSE at the root of the source code distribution tree.
+
+"use strict";
+
+import ProviderRpcError from "./error";
+import Utils from "./utils";
+
+const ADDRESS_PATTERN = /^0x[0-9a-fA-F]{40}$/;
+const DATA_PATTERN = /^0x([0-9a-fA-F]{2})*$/;
+// every call gets its own row on the confirmation sheet
+const MAX_CALLS = 50;
+// capabilities for every chain, see EIP-5792
+const ANY_CHAIN = "0x0";
+// native executes the calls one by one unless the app says otherwise
+const DEFAULT_CAPABILITIES = {
+  [ANY_CHAIN]: { atomic: { status: "unsupported" } },
+};
+
+// wallet_getCallsStatus status codes
+const Status = {
+  pending: 100,
+  confirmed: 200,
+  reverted: 500,
+  partiallyReverted: 600,
+};
+
+/**
+ * EIP-5792 wallet_getCapabilities / wallet_sendCalls / wallet_getCallsStatus,
+ * native signs and sends the bundle, bundle ids and receipt polling live here.
+ */
+class CallsManager {
+  constructor(provider, capabilities) {
+    this.provider = provider;
+    this.bundles = new Map();
+    this.setCapabilities(capabilities);
+  }
+
+  static get Status() {
+    return Status;
+  }
+
+  get rpc() {
+    return this.provider.rpc;
+  }
+
+  /**
+   * capabilities: {[hexChainId]: {capability: {...}}}, "0x0" applies to every chain
+   */
+  setCapabilities(capabilities) {
+    this.capabilities = capabilities || DEFAULT_CAPABILITIES;
+  }
+
+  capabilitiesFor(chainId) {
+    return Object.assign({}, this.capabilities[ANY_CHAIN], this.capabilities[chainId]);
+  }
+
+  getCapabilities(params, origin = this.provider.origin) {
+    const [address, chainIds] = params || [];
+    this.checkAccount(address, origin);
+    const chains = Array.isArray(chainIds) && chainIds.length > 0 ? chainIds : [this.provider.chainId];
+    return chains.reduce((result, chainId) => {
+      result[chainId] = this.capabilitiesFor(chainId);
+      return result;
+    }, {});
+  }
+
+  /**
+   * Validate a wallet_sendCalls request, throws ProviderRpcError. Returns the bundle native gets.
+   */
+  prepare(params, origin = this.provider.origin) {
+    const request = (params || [])[0];
+    if (!request || typeof request !== "object" || Array.isArray(request)) {
+      throw ProviderRpcError.invalidParams("wallet_sendCalls expects a call bundle object");
+    }
+    if (typeof request.chainId !== "string" || !/^0x[0-9a-fA-F]+$/.test(request.chainId)) {
+      throw ProviderRpcError.invalidParams("chainId must be a hex string");
+    }
+    const chainId = Utils.toQuantity(request.chainId);
+    if (chainId !== this.provider.chainId) {
+      throw ProviderRpcError.unsupportedChainId(`calls for chain ${chainId}, the active chain is ${this.provider.chainId}`);
+    }
+    const from = request.from || this.provider.getAccounts(origin)[0];
+    this.checkAccount(from, origin);
+
+    if (!Array.isArray(request.calls) || request.calls.length === 0) {
+      throw ProviderRpcError.invalidParams("calls must be a non empty list");
+    }
+    if (request.calls.length > MAX_CALLS) {
+      throw ProviderRpcError.bundleTooLarge(`a bundle can hold up to ${MAX_CALLS} calls`);
+    }
+    const calls = request.calls.map((call, index) => CallsManager.normalizeCall(call, index));
+
+    const id = request.id === undefined ? CallsManager.genBundleId() : request.id;
+    if (typeof id !== "string" || id.length === 0 || id.length > 4096) {
+      throw ProviderRpcError.invalidParams("id must be a string of up to 4096 characters");
+    }
+    if (this.bundles.has(id)) {
+      throw ProviderRpcError.duplicateBundleId(`bundle ${id} was already submitted`);
+    }
+
+    const supported = this.capabilitiesFor(chainId);
+    const atomic = supported.atomic && supported.atomic.status;
+    if (request.atomicRequired === true && atomic !== "supported" && atomic !== "ready") {
+      throw ProviderRpcError.atomicityNotSupported();
+    }
+    [request.capabilities].concat(calls.map((call) => call.capabilities)).forEach((capabilities) => {
+      Object.keys(capabilities || {}).forEach((name) => {
+        const capability = capabilities[name];
+        if (!supported[name] && !(capability && capability.optional === true)) {
+          throw ProviderRpcError.unsupportedCapability(`capability ${name} is not supported`);
+        }
+      });
+    });
+
+    return {
+      version: request.version || "2.0.0",
+      id: id,
+      chainId: chainId,
+      from: from,
+      atomicRequired: request.atomicRequired === true,
+      calls: calls,
+      capabilities: request.capabilities || {},
+    };
+  }
+
+  static normalizeCall(call, index) {
+    if (!call || typeof call !== "object") {
+      throw ProviderRpcError.invalidParams(`call ${index} must be an object`);
+    }
+    if (call.to !== undefined && !ADDRESS_PATTERN.test(call.to)) {
+      throw ProviderRpcError.invalidParams(`call ${index} has an invalid to address: ${call.to}`);
+    }
+    if (call.data !== undefined && !DATA_PATTERN.test(call.data)) {
+      throw ProviderRpcError.invalidParams(`call ${index} data must be an even length hex string`);
+    }
+    if (!call.to && !call.data) {
+      throw ProviderRpcError.invalidParams(`call ${index} needs a to address or data`);
+    }
+    const normalized = Object.assign({}, call);
+    if (call.value !== undefined) {
+      try {
+        normalized.value = Utils.toQuantity(call.value);
+      } catch (error) {
+        throw ProviderRpcError.invalidParams(`call ${index} has an invalid value: ${error.message}`);
+      }
+    }
+    return normalized;
+  }
+
+  checkAccount(address, origin = this.provider.origin) {
+    const accounts = this.provider.getAccounts(origin).map((account) => account.toLowerCase());
+    if (typeof address !== "string" || accounts.indexOf(address.toLowerCase()) === -1) {
+      throw ProviderRpcError.unauthorized(`${address} is not an authorized account`);
+    }
+  }
+
+  /**
+   * Record a bundle native accepted, result is the list of transaction hashes (or {transactionHashes}).
+   * Returns what wallet_sendCalls resolves with.
+   */
+  track(bundle, result) {
+    const hashes = Array.isArray(result) ? result : (result && result.transactionHashes) || [];
+    this.bundles.set(bundle.id, {
+      version: bundle.version,
+      id: bundle.id,
+      chainId: bundle.chainId,
+      atomic: bundle.atomicRequired,
+      transactionHashes: hashes,
+      status: Status.pending,
+      receipts: undefined,
+    });
+    // 1.0 returned the bare id
+    return bundle.version === "1.0" ? bundle.id : { id: bundle.id };
+  }
+
+  getCallsStatus(params) {
+    const id = (params || [])[0];
+    const bundle = this.bundles.get(id);
+    if (!bundle) {
+      return Promise.reject(ProviderRpcError.unknownBundleId(`bundle ${id} is unknown`));
+    }
+    // settled bundles don't change, and we can only poll the active chain
+    if (bundle.status !== Status.pending || bundle.chainId !== this.provider.chainId || bundle.transactionHashes.length === 0) {
+      return Promise.resolve(CallsManager.formatStatus(bundle));
+    }
+    return Promise.all(bundle.transactionHashes.map((hash) => this.rpc.getTransactionReceipt(hash))).then((receipts) => {
+      if (receipts.every((receipt) => !!receipt)) {
+        const succeeded = receipts.filter((receipt) => receipt.status === "0x1").length;
+        if (succeeded === receipts.length) {
+          bundle.status = Status.confirmed;
+        } else {
+          bundle.status = succeeded === 0 ? Status.reverted : Status.partiallyReverted;
+        }
+        bundle.receipts = receipts.map(CallsManager.formatReceipt);
+      }
+      return CallsManager.formatStatus(bundle);
+    });
+  }
+
+  static formatStatus(bundle) {
+    if (bundle.version === "1.0") {
+      return {
+        status: bundle.status === Status.pending ? "PENDING" : "CONFIRMED",
+        receipts: bundle.receipts,
+      };
+    }
+    const status = {
+      version: bundle.version,
+      id: bundle.id,
+      chainId: bundle.chainId,
+      status: bundle.status,
+      atomic: bundle.atomic,
+    };
+    if (bundle.receipts) {
+      status.receipts = bundle.receipts;
+    }
+    return status;
+  }
+
+  static formatReceipt(receipt) {
+    return {
+      logs: (receipt.logs || []).map((log) => ({ address: log.address, data: log.data, topics: log.topics })),
+      status: receipt.status,
+      blockHash: receipt.blockHash,
+      blockNumber: receipt.blockNumber,
+      gasUsed: receipt.gasUsed,
+      transactionHash: receipt.transactionHash,
+    };
+  }
+
+  static genBundleId() {
+    return "0x" + Utils.genUUID().replace(/-/g, "");
+  }
+}
+
+module.exports = CallsManager;
@@ -0,0 +1,172 @@
+// Copyright © 2017-2020 Trust Wallet.
+//
+// This file is part of Trust. The full Trust copyright notice, including
+// terms governing use, modification, and redistribution, is contained in the
+// file LICENSE at the root of the source code distribution tree.
+
+"use strict";
+
+import ProviderRpcError from "./error";
+import Utils from "./utils";
+
+// no leading zeros, see EIP-3085
+const CHAIN_ID_PATTERN = /^0x[1-9a-fA-F][0-9a-fA-F]*$/;
+const LOCAL_HOSTS = ["localhost", "127.0.0.1"];
+
+/**
+ * Networks the wallet knows about, keyed by hex chainId. Chains the host configured are trusted,
+ * the rpc urls of chains dapps added through wallet_addEthereumChain are never used for requests.
+ */
+class ChainRegistry {
+  constructor(chains = []) {
+    this.chains = new Map();
+    chains.forEach((chain) => this.add(chain));
+  }
+
+  /**
+   * chain: {chainId, rpcUrl | rpcUrls, chainName?, nativeCurrency?, blockExplorerUrls?, iconUrls?},
+   * chainId may be a number or a hex string.
+   */
+  add(chain) {
+    const chainId = Utils.toQuantity(chain.chainId);
+    const rpcUrls = chain.rpcUrls || (Array.isArray(chain.rpcUrl) ? chain.rpcUrl : [chain.rpcUrl]);
+    const existing = this.chains.get(chainId);
+    // the host's data replaces what a dapp said about the chain
+    const entry = Object.assign({}, existing && !existing.addedByDapp ? existing : {}, chain, {
+      chainId: chainId,
+      rpcUrls: rpcUrls.filter((url) => !!url),
+    });
+    delete entry.rpcUrl;
+    delete entry.addedByDapp;
+    this.chains.set(chainId, entry);
+    return entry;
+  }
+
+  /**
+   * Chain a dapp added once native accepted it, parsed by parseAddParams.
+   * Chains the host configured are kept as they are.
+   */
+  addFromDapp(chain) {
+    const existing = this.chains.get(chain.chainId);
+    if (existing && !existing.addedByDapp) {
+      return existing;
+    }
+    const entry = Object.assign({}, chain, { addedByDapp: true });
+    this.chains.set(chain.chainId, entry);
+    return entry;
+  }
+
+  get(chainId) {
+    return this.chains.get(chainId);
+  }
+
+  /**
+   * Whether the host configured the chain, only then its rpc urls may serve requests
+   */
+  isConfigured(chainId) {
+    const chain = this.chains.get(chainId);
+    return !!chain && !chain.addedByDapp;
+  }
+
+  has(chainId) {
+    return this.chains.has(chainId);
+  }
+
+  list() {
+    return Array.from(this.chains.values());
+  }
+
+  /**
+   * wallet_switchEthereumChain params, returns the hex chainId.
+   */
+  static parseSwitchParams(params) {
+    const request = (params || [])[0];
+    if (!request || typeof request !== "object") {
+      throw ProviderRpcError.invalidParams("wallet_switchEthereumChain expects [{chainId}]");
+    }
+    return ChainRegistry.parseChainId(request.chainId);
+  }
+
+  /**
+   * EIP-3085 wallet_addEthereumChain params, returns the normalized chain.
+   */
+  static parseAddParams(params) {
+    const request = (params || [])[0];
+    if (!request || typeof request !== "object" || Array.isArray(request)) {
+      throw ProviderRpcError.invalidParams("wallet_addEthereumChain expects [AddEthereumChainParameter]");
+    }
+    const chainId = ChainRegistry.parseChainId(request.chainId);
+    if (typeof request.chainName !== "string" || request.chainName.trim().length === 0) {
+      throw ProviderRpcError.invalidParams("chainName must be a non empty string");
+    }
+
+    const currency = request.nativeCurrency;
+    if (!currency || typeof currency !== "object") {
+      throw ProviderRpcError.invalidParams("nativeCurrency is required");
+    }
+    if (typeof currency.name !== "string" || currency.name.length === 0) {
+      throw ProviderRpcError.invalidParams("nativeCurrency.name must be a non empty string");
+    }
+    if (typeof currency.symbol !== "string" || currency.symbol.length < 2 || currency.symbol.length > 6) {
+      throw ProviderRpcError.invalidParams("nativeCurrency.symbol must be 2 to 6 characters");
+    }
+    if (currency.decimals !== 18) {
+      throw ProviderRpcError.invalidParams("nativeCurrency.decimals must be 18");
+    }
+
+    if (!Array.isArray(request.rpcUrls) || request.rpcUrls.length === 0) {
+      throw ProviderRpcError.invalidParams("rpcUrls must be a non empty list");
+    }
+    ["rpcUrls", "blockExplorerUrls", "iconUrls"].forEach((key) => {
+      const urls = request[key];
+      if (urls === undefined || urls === null) {
+        return;
+      }
+      if (!Array.isArray(urls)) {
+        throw ProviderRpcError.invalidParams(`${key} must be a list of urls`);
+      }
+      urls.forEach((url) => {
+        if (!ChainRegistry.isSecureUrl(url)) {
+          throw ProviderRpcError.invalidParams(`${key} must be https urls, got ${url}`);
+        }
+      });
+    });
+
+    return {
+      chainId: chainId,
+      chainName: request.chainName.trim(),
+      nativeCurrency: { name: currency.name, symbol: currency.symbol, decimals: currency.decimals },
+      rpcUrls: request.rpcUrls,
+      blockExplorerUrls: request.blockExplorerUrls || [],
+      iconUrls: request.iconUrls || [],
+    };
+  }
+
+  static parseChainId(chainId) {
+    if (typeof chainId !== "string" || !CHAIN_ID_PATTERN.test(chainId)) {
+      throw ProviderRpcError.invalidParams(`chainId must be a hex string without leading zeros, got ${chainId}`);
+    }
+    if (!Number.isSafeInteger(Utils.hexToInt(chainId))) {
+      throw ProviderRpcError.invalidParams(`chainId ${chainId} is too large`);
+    }
+    return chainId.toLowerCase();
+  }
+
+  /**
+   * https only, plain http is fine for a local node
+   */
+  static isSecureUrl(url) {
+    if (typeof url !== "string") {
+      return false;
+    }
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      return false;
+    }
+    return parsed.protocol === "https:" || (parsed.protocol === "http:" && LOCAL_HOSTS.indexOf(parsed.hostname) !== -1);
+  }
+}
+
+module.exports = ChainRegistry;
@@ -0,0 +1,57 @@
+// Copyright © 2017-2020 Trust Wallet.
+//
+// This file is part of Trust. The full Trust copyright notice, including
+// terms governing use, modification, and redistribution, is contained in the
+// file LICENSE at the root of the source code distribution tree.
+
+"use strict";
+
+import Utils from "./utils";
+
+const ANNOUNCE_EVENT = "eip6963:announceProvider";
+const REQUEST_EVENT = "eip6963:requestProvider";
+
+// the wallet's own identity, pickers tell wallets apart by rdns
+const REQUIRED_INFO = ["name", "icon", "rdns"];
+
+/**
+ * EIP-6963 multi injected provider discovery, see https://eips.ethereum.org/EIPS/eip-6963
+ */
+class ProviderAnnouncer {
+  constructor(provider, info) {
+    this.provider = provider;
+    this.info = Object.freeze({
+      uuid: info.uuid || Utils.genUUID(),
+      name: info.name,
+      icon: info.icon,
+      rdns: info.rdns,
+    });
+    this.onRequestProvider = this.announce.bind(this);
+  }
+
+  /**
+   * Whether the host's providerInfo has name, icon and rdns, uuid is generated when missing
+   */
+  static isValidInfo(info) {
+    return !!info && REQUIRED_INFO.every((key) => typeof info[key] === "string" && info[key].length > 0);
+  }
+
+  announce() {
+    window.dispatchEvent(
+      new CustomEvent(ANNOUNCE_EVENT, {
+        detail: Object.freeze({ info: this.info, provider: this.provider }),
+      })
+    );
+  }
+
+  start() {
+    window.addEventListener(REQUEST_EVENT, this.onRequestProvider);
+    this.announce();
+  }
+
+  stop() {
+    window.removeEventListener(REQUEST_EVENT, this.onRequestProvider);
+  }
+}
+
+module.exports = ProviderAnnouncer;
@@ -0,0 +1,84 @@
+// Copyright © 2017-2020 Trust Wallet.
+//
+// This file is part of Trust. The full Trust copyright notice, including
+// terms governing use, modification, and redistribution, is contained in the
+// file LICENSE at the root of the source code distribution tree.
+
+"use strict";
+
+// latency assumed for an endpoint we haven't heard from yet
+const UNKNOWN_LATENCY = 2000;
+// weight of the newest sample in the moving averages
+const ALPHA = 0.3;
+const MAX_COOLDOWN = 30 * 1000;
+
+/**
+ * Health of a single rpc url, moving averages of latency and error rate.
+ */
+class Endpoint {
+  constructor(url, index = 0) {
+    this.url = url;
+    this.index = index;
+    this.latency = null;
+    this.errorRate = 0;
+    this.requests = 0;
+    this.failures = 0;
+    this.consecutiveFailures = 0;
+    this.cooldownUntil = 0;
+  }
+
+  recordSuccess(latency) {
+    this.requests++;
+    this.consecutiveFailures = 0;
+    this.cooldownUntil = 0;
+    this.latency = this.latency === null ? latency : ALPHA * latency + (1 - ALPHA) * this.latency;
+    this.errorRate = (1 - ALPHA) * this.errorRate;
+  }
+
+  recordFailure() {
+    this.requests++;
+    this.failures++;
+    this.consecutiveFailures++;
+    this.errorRate = ALPHA + (1 - ALPHA) * this.errorRate;
+    this.cooldownUntil = Date.now() + Math.min(MAX_COOLDOWN, 1000 * Math.pow(2, this.consecutiveFailures - 1));
+  }
+
+  isCoolingDown(now = Date.now()) {
+    return this.cooldownUntil > now;
+  }
+
+  /**
+   * Lower is better, an endpoint failing half of the time counts as 6 times slower.
+   */
+  score() {
+    const latency = this.latency === null ? UNKNOWN_LATENCY : this.latency;
+    return latency * (1 + this.errorRate * 10);
+  }
+
+  stats() {
+    return {
+      url: this.url,
+      latency: this.latency,
+      errorRate: this.errorRate,
+      requests: this.requests,
+      failures: this.failures,
+      coolingDown: this.isCoolingDown(),
+    };
+  }
+
+  /**
+   * Sort endpoints best first, cooling down endpoints go last, config order breaks ties.
+   */
+  static rank(endpoints) {
+    const now = Date.now();
+    return endpoints.slice().sort((a, b) => {
+      const cooling = a.isCoolingDown(now) - b.isCoolingDown(now);
+      if (cooling !== 0) {
+        return cooling;
+      }
+      return a.score() - b.score() || a.index - b.index;
+    });
+  }
+}
+
+module.exports = Endpoint;
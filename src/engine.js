@@ -0,0 +1,104 @@
+// Copyright © 2017-2020 Trust Wallet.
+//
+// This file is part of Trust. The full Trust copyright notice, including
+// terms governing use, modification, and redistribution, is contained in the
+// file LICENSE at the root of the source code distribution tree.
+
+"use strict";
+
+import ProviderRpcError from "./error";
+
+/**
+ * Ordered middleware stack in the style of json-rpc-engine, a middleware is called with
+ * (req, res, next, end): set res.result and call end(), call end(error), or pass the request
+ * on with next(returnHandler) where returnHandler(done) runs once a later middleware ended it.
+ * Middlewares may return a promise, a rejection ends the request with that error.
+ * Synchronous middlewares run before handle() returns, so do native messages they post.
+ */
+class RequestEngine {
+  constructor(middlewares = []) {
+    this.middlewares = [];
+    middlewares.forEach((middleware) => this.push(middleware));
+  }
+
+  push(middleware) {
+    if (typeof middleware !== "function") {
+      throw new TypeError("middleware must be a function (req, res, next, end)");
+    }
+    this.middlewares.push(middleware);
+  }
+
+  /**
+   * Run req through the stack, resolves with the response {jsonrpc, id, result} or {jsonrpc, id, error}
+   */
+  handle(req) {
+    const res = { jsonrpc: "2.0", id: req.id };
+    const returnHandlers = [];
+    return new Promise((resolve) => {
+      const finish = (error) => {
+        if (error) {
+          res.error = error;
+        }
+        if (res.error) {
+          res.error = ProviderRpcError.from(res.error);
+          delete res.result;
+        } else if (!("result" in res)) {
+          res.error = ProviderRpcError.internal(`${req.method} ended without a result`);
+        }
+        this.unwind(returnHandlers.reverse(), res, () => resolve(res));
+      };
+      const run = (index) => {
+        const middleware = this.middlewares[index];
+        if (!middleware) {
+          return finish(ProviderRpcError.methodNotFound(`${req.method} is not supported`));
+        }
+        let called = false;
+        const next = (returnHandler) => {
+          if (called) {
+            return;
+          }
+          called = true;
+          if (returnHandler) {
+            returnHandlers.push(returnHandler);
+          }
+          run(index + 1);
+        };
+        const end = (error) => {
+          if (called) {
+            return;
+          }
+          called = true;
+          finish(error);
+        };
+        try {
+          const pending = middleware(req, res, next, end);
+          if (pending && typeof pending.then === "function") {
+            pending.then(null, end);
+          }
+        } catch (error) {
+          end(error);
+        }
+      };
+      run(0);
+    });
+  }
+
+  /**
+   * @private Call return handlers last to first, a throwing one turns the response into an error
+   */
+  unwind(returnHandlers, res, done) {
+    const returnHandler = returnHandlers.shift();
+    if (!returnHandler) {
+      return done();
+    }
+    try {
+      returnHandler(() => this.unwind(returnHandlers, res, done));
+    } catch (error) {
+      res.error = ProviderRpcError.from(error);
+      delete res.result;
+      this.unwind(returnHandlers, res, done);
+    }
+  }
+}
+
+module.exports = RequestEngine;
@@ -6,16 +6,228 @@
 
 "use strict";
 
+// EIP-1474 JSON-RPC and EIP-1193 provider error codes
+const codes = {
+  rpc: {
+    parse: -32700,
+    invalidRequest: -32600,
+    methodNotFound: -32601,
+    invalidParams: -32602,
+    internal: -32603,
+    invalidInput: -32000,
+    resourceNotFound: -32001,
+    resourceUnavailable: -32002,
+    transactionRejected: -32003,
+    methodNotSupported: -32004,
+    limitExceeded: -32005,
+  },
+  provider: {
+    userRejectedRequest: 4001,
+    unauthorized: 4100,
+    unsupportedMethod: 4200,
+    disconnected: 4900,
+    chainDisconnected: 4901,
+    unrecognizedChain: 4902,
+  },
+  // EIP-5792 wallet_sendCalls
+  calls: {
+    unsupportedCapability: 5700,
+    unsupportedChainId: 5710,
+    duplicateId: 5720,
+    unknownBundleId: 5730,
+    bundleTooLarge: 5740,
+    atomicityNotSupported: 5760,
+  },
+};
+
+const messages = {
+  [codes.rpc.parse]: "Invalid JSON was received by the server.",
+  [codes.rpc.invalidRequest]: "The JSON sent is not a valid Request object.",
+  [codes.rpc.methodNotFound]: "The method does not exist / is not available.",
+  [codes.rpc.invalidParams]: "Invalid method parameter(s).",
+  [codes.rpc.internal]: "Internal JSON-RPC error.",
+  [codes.rpc.invalidInput]: "Invalid input.",
+  [codes.rpc.resourceNotFound]: "Resource not found.",
+  [codes.rpc.resourceUnavailable]: "Resource unavailable.",
+  [codes.rpc.transactionRejected]: "Transaction rejected.",
+  [codes.rpc.methodNotSupported]: "Method not supported.",
+  [codes.rpc.limitExceeded]: "Request limit exceeded.",
+  [codes.provider.userRejectedRequest]: "User rejected the request.",
+  [codes.provider.unauthorized]: "The requested account and/or method has not been authorized by the user.",
+  [codes.provider.unsupportedMethod]: "The requested method is not supported by this Ethereum provider.",
+  [codes.provider.disconnected]: "The provider is disconnected from all chains.",
+  [codes.provider.chainDisconnected]: "The provider is disconnected from the specified chain.",
+  [codes.provider.unrecognizedChain]: "Unrecognized chain ID.",
+  [codes.calls.unsupportedCapability]: "The wallet does not support a capability that was not marked as optional.",
+  [codes.calls.unsupportedChainId]: "The wallet does not support the requested chain ID.",
+  [codes.calls.duplicateId]: "There is already a bundle submitted with this ID.",
+  [codes.calls.unknownBundleId]: "This bundle ID is unknown.",
+  [codes.calls.bundleTooLarge]: "The number of calls exceeds what the wallet supports.",
+  [codes.calls.atomicityNotSupported]: "The wallet does not support atomic execution but the request requires it.",
+};
+
+// the whole message native sends when the user dismisses a sheet, other native errors carry
+// code 4001 or userRejected: true, words like "rejected" in node errors don't count
+const USER_REJECTED_MESSAGES = ["canceled", "cancelled"];
+
 class ProviderRpcError extends Error {
-  constructor(code, message) {
+  constructor(code, message, data, cause) {
     super();
     this.code = code;
-    this.message = message;
+    this.message = message || messages[code] || "Unknown error";
+    if (data !== undefined) {
+      this.data = data;
+    }
+    // what native or the node sent, kept out of toJSON
+    if (cause !== undefined) {
+      this.cause = cause;
+    }
   }
-  
+
   toString() {
     return `${this.message} (${this.code})`;
   }
+
+  /**
+   * Plain object for JSON-RPC responses and the native bridge.
+   */
+  toJSON() {
+    const json = { code: this.code, message: this.message };
+    if (this.data !== undefined) {
+      json.data = this.data;
+    }
+    return json;
+  }
+
+  /**
+   * Build an error from whatever reached us: an upstream JSON-RPC error object,
+   * a string (or JSON string) from native, or another Error. The original is kept as cause.
+   */
+  static from(error, fallbackCode = codes.rpc.internal) {
+    if (error instanceof ProviderRpcError) {
+      return error;
+    }
+    if (typeof error === "string") {
+      let json = null;
+      try {
+        json = JSON.parse(error);
+      } catch (e) {
+        // not json, plain message
+      }
+      if (json && typeof json === "object") {
+        return ProviderRpcError.fromObject(json, fallbackCode, error);
+      }
+      const rejected = USER_REJECTED_MESSAGES.indexOf(error.trim().toLowerCase()) !== -1;
+      return ProviderRpcError.create(rejected ? codes.provider.userRejectedRequest : fallbackCode, error, undefined, error);
+    }
+    if (error && typeof error === "object") {
+      return ProviderRpcError.fromObject(error, fallbackCode, error);
+    }
+    return ProviderRpcError.create(fallbackCode, undefined, undefined, error);
+  }
+
+  /**
+   * @private {code, message, data} or {userRejected: true, message} from native, or an Error
+   */
+  static fromObject(error, fallbackCode, cause) {
+    let code = fallbackCode;
+    if (Number.isInteger(error.code)) {
+      code = error.code;
+    } else if (error.userRejected === true) {
+      code = codes.provider.userRejectedRequest;
+    }
+    return ProviderRpcError.create(code, error.message, error.data, cause);
+  }
+
+  static create(code, message, data, cause) {
+    if ((code >= 1000 && code <= 4999) || (code >= 5700 && code <= 5799)) {
+      return new EthereumProviderError(code, message, data, cause);
+    }
+    return new EthereumRpcError(code, message, data, cause);
+  }
+
+  static userRejected(message, data) {
+    return new EthereumProviderError(codes.provider.userRejectedRequest, message, data);
+  }
+
+  static unauthorized(message, data) {
+    return new EthereumProviderError(codes.provider.unauthorized, message, data);
+  }
+
+  static unsupportedMethod(message, data) {
+    return new EthereumProviderError(codes.provider.unsupportedMethod, message, data);
+  }
+
+  static disconnected(message, data) {
+    return new EthereumProviderError(codes.provider.disconnected, message, data);
+  }
+
+  static chainDisconnected(message, data) {
+    return new EthereumProviderError(codes.provider.chainDisconnected, message, data);
+  }
+
+  static unrecognizedChain(message, data) {
+    return new EthereumProviderError(codes.provider.unrecognizedChain, message, data);
+  }
+
+  static unsupportedCapability(message, data) {
+    return new EthereumProviderError(codes.calls.unsupportedCapability, message, data);
+  }
+
+  static unsupportedChainId(message, data) {
+    return new EthereumProviderError(codes.calls.unsupportedChainId, message, data);
+  }
+
+  static duplicateBundleId(message, data) {
+    return new EthereumProviderError(codes.calls.duplicateId, message, data);
+  }
+
+  static unknownBundleId(message, data) {
+    return new EthereumProviderError(codes.calls.unknownBundleId, message, data);
+  }
+
+  static bundleTooLarge(message, data) {
+    return new EthereumProviderError(codes.calls.bundleTooLarge, message, data);
+  }
+
+  static atomicityNotSupported(message, data) {
+    return new EthereumProviderError(codes.calls.atomicityNotSupported, message, data);
+  }
+
+
+  static invalidParams(message, data) {
+    return new EthereumRpcError(codes.rpc.invalidParams, message, data);
+  }
+
+  static invalidInput(message, data) {
+    return new EthereumRpcError(codes.rpc.invalidInput, message, data);
+  }
+
+  static internal(message, data) {
+    return new EthereumRpcError(codes.rpc.internal, message, data);
+  }
+
+  static methodNotFound(message, data) {
+    return new EthereumRpcError(codes.rpc.methodNotFound, message, data);
+  }
+
+  static resourceUnavailable(message, data) {
+    return new EthereumRpcError(codes.rpc.resourceUnavailable, message, data);
+  }
+
+  static limitExceeded(message, data) {
+    return new EthereumRpcError(codes.rpc.limitExceeded, message, data);
+  }
 }
 
+// EIP-1474, errors reported by the node or the JSON-RPC layer
+class EthereumRpcError extends ProviderRpcError {}
+
+// EIP-1193, errors raised by the provider or the wallet (4xxx, EIP-5792 57xx)
+class EthereumProviderError extends ProviderRpcError {}
+
+ProviderRpcError.codes = codes;
+ProviderRpcError.EthereumRpcError = EthereumRpcError;
+ProviderRpcError.EthereumProviderError = EthereumProviderError;
+
 module.exports = ProviderRpcError;
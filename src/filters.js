@@ -0,0 +1,245 @@
+// Copyright © 2017-2020 Trust Wallet.
+//
+// This file is part of Trust. The full Trust copyright notice, including
+// terms governing use, modification, and redistribution, is contained in the
+// file LICENSE at the root of the source code distribution tree.
+
+"use strict";
+
+import Utils from "./utils";
+import ProviderRpcError from "./error";
+
+// nodes drop filters that haven't been polled for 5 minutes, so do we
+const FILTER_TIMEOUT = 5 * 60 * 1000;
+// don't walk back further than this when a filter hasn't been polled for a while
+const MAX_BLOCK_RANGE = 50;
+const DEFAULT_POLLING_INTERVAL = 4000;
+
+/**
+ * Polling based eth_newFilter / eth_subscribe emulation on top of RPCServer,
+ * filter ids are local to the page and never reach the upstream node.
+ */
+class FilterManager {
+  constructor(provider, pollingInterval = DEFAULT_POLLING_INTERVAL) {
+    this.provider = provider;
+    this.pollingInterval = pollingInterval;
+    this.filters = new Map();
+    this.subscriptions = new Map();
+    this.nextId = 1;
+    this.timer = null;
+  }
+
+  get rpc() {
+    return this.provider.rpc;
+  }
+
+  handle(payload) {
+    const params = payload.params || [];
+    switch (payload.method) {
+      case "eth_newFilter":
+        return this.newFilter("log", params[0] || {});
+      case "eth_newBlockFilter":
+        return this.newFilter("block");
+      case "eth_newPendingTransactionFilter":
+        return this.newFilter("pending");
+      case "eth_uninstallFilter":
+        return Promise.resolve(this.filters.delete(params[0]));
+      case "eth_getFilterChanges":
+        return this.getFilterChanges(params[0]);
+      case "eth_getFilterLogs":
+        return this.getFilterLogs(params[0]);
+      case "eth_subscribe":
+        return this.subscribe(params[0], params[1]);
+      case "eth_unsubscribe":
+        return Promise.resolve(this.unsubscribe(params[0]));
+      default:
+        return Promise.reject(
+          ProviderRpcError.unsupportedMethod(`${payload.method} is not a filter method`)
+        );
+    }
+  }
+
+  newFilter(type, filter = {}) {
+    return this.rpc.getBlockNumber().then((blockNumber) => {
+      const id = this.genId();
+      this.filters.set(id, {
+        type: type,
+        filter: filter,
+        lastBlock: Utils.hexToInt(blockNumber),
+        lastPolled: Date.now(),
+      });
+      return id;
+    });
+  }
+
+  getFilterChanges(id) {
+    this.expireFilters();
+    const entry = this.filters.get(id);
+    if (!entry) {
+      return Promise.reject(ProviderRpcError.invalidInput("filter not found"));
+    }
+    entry.lastPolled = Date.now();
+    if (entry.type === "pending") {
+      // public nodes don't expose the mempool, nothing to report
+      return Promise.resolve([]);
+    }
+    return this.rpc.getBlockNumber().then((blockNumber) => {
+      const current = Utils.hexToInt(blockNumber);
+      const from = Math.max(entry.lastBlock + 1, current - MAX_BLOCK_RANGE + 1);
+      if (from > current) {
+        return [];
+      }
+      entry.lastBlock = current;
+      if (entry.type === "block") {
+        return this.getBlocks(from, current).then((blocks) =>
+          blocks.map((block) => block.hash)
+        );
+      }
+      return this.getLogs(entry.filter, from, current);
+    });
+  }
+
+  getFilterLogs(id) {
+    const entry = this.filters.get(id);
+    if (!entry || entry.type !== "log") {
+      return Promise.reject(ProviderRpcError.invalidInput("filter not found"));
+    }
+    entry.lastPolled = Date.now();
+    return this.rpc.getFilterLogs(entry.filter);
+  }
+
+  subscribe(type, filter) {
+    if (type !== "newHeads" && type !== "logs") {
+      return Promise.reject(
+        ProviderRpcError.invalidParams(`unsupported subscription type: ${type}`)
+      );
+    }
+    return this.rpc.getBlockNumber().then((blockNumber) => {
+      const id = this.genId();
+      this.subscriptions.set(id, {
+        type: type,
+        filter: filter || {},
+        lastBlock: Utils.hexToInt(blockNumber),
+      });
+      this.startPolling();
+      return id;
+    });
+  }
+
+  unsubscribe(id) {
+    const removed = this.subscriptions.delete(id);
+    if (this.subscriptions.size === 0) {
+      this.stopPolling();
+    }
+    return removed;
+  }
+
+  /**
+   * Drop every filter and subscription, e.g. after the chain changed.
+   */
+  reset() {
+    this.filters.clear();
+    this.subscriptions.clear();
+    this.stopPolling();
+  }
+
+  startPolling() {
+    if (!this.timer) {
+      this.timer = setInterval(() => this.poll(), this.pollingInterval);
+    }
+  }
+
+  stopPolling() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  poll() {
+    if (this.subscriptions.size === 0) {
+      return Promise.resolve();
+    }
+    return this.rpc
+      .getBlockNumber()
+      .then((blockNumber) => {
+        const current = Utils.hexToInt(blockNumber);
+        const pending = [];
+        this.subscriptions.forEach((entry, id) => {
+          const from = Math.max(entry.lastBlock + 1, current - MAX_BLOCK_RANGE + 1);
+          if (from > current) {
+            return;
+          }
+          entry.lastBlock = current;
+          const changes = entry.type === "newHeads"
+            ? this.getBlocks(from, current)
+            : this.getLogs(entry.filter, from, current);
+          pending.push(
+            changes.then((results) => results.forEach((result) => this.emitMessage(id, result)))
+          );
+        });
+        return Promise.all(pending);
+      })
+      .catch((error) => {
+        if (this.provider.isDebug) {
+          console.log(`<== filter polling error ${error}`);
+        }
+      });
+  }
+
+  emitMessage(subscription, result) {
+    // the subscription might be gone while we were fetching
+    if (!this.subscriptions.has(subscription)) {
+      return;
+    }
+    this.provider.emitMessage("eth_subscription", { subscription: subscription, result: result });
+  }
+
+  getBlocks(from, to) {
+    return Promise.all(
+      Utils.intRange(from, to + 1).map((number) =>
+        this.rpc.getBlockByNumber(Utils.intToHex(number))
+      )
+    ).then((blocks) => blocks.filter((block) => !!block));
+  }
+
+  getLogs(filter, from, to) {
+    // a blockHash filter only ever matches one block, which has been mined already
+    if (filter.blockHash) {
+      return Promise.resolve([]);
+    }
+    // respect the bounds the dapp asked for
+    let fromBlock = from;
+    let toBlock = to;
+    if (filter.fromBlock && filter.fromBlock.indexOf("0x") === 0) {
+      fromBlock = Math.max(fromBlock, Utils.hexToInt(filter.fromBlock));
+    }
+    if (filter.toBlock && filter.toBlock.indexOf("0x") === 0) {
+      toBlock = Math.min(toBlock, Utils.hexToInt(filter.toBlock));
+    }
+    if (fromBlock > toBlock) {
+      return Promise.resolve([]);
+    }
+    return this.rpc.getFilterLogs(
+      Object.assign({}, filter, {
+        fromBlock: Utils.intToHex(fromBlock),
+        toBlock: Utils.intToHex(toBlock),
+      })
+    );
+  }
+
+  expireFilters() {
+    const now = Date.now();
+    this.filters.forEach((entry, id) => {
+      if (now - entry.lastPolled > FILTER_TIMEOUT) {
+        this.filters.delete(id);
+      }
+    });
+  }
+
+  genId() {
+    return Utils.intToHex(this.nextId++);
+  }
+}
+
+module.exports = FilterManager;
@@ -0,0 +1,435 @@
+// Copyright © 2017-2020 Trust Wallet.
+//
+// This file is part of Trust. The full Trust copyright notice, including
+// terms governing use, modification, and redistribution, is contained in the
+// file LICENSE at the root of the source code distribution tree.
+
+"use strict";
+
+import ProviderRpcError from "./error";
+import AccountStore from "./accounts";
+import DappMetadata from "./metadata";
+import Utils from "./utils";
+
+// pages use postMessage for plenty of other things, ours carry the channel name
+const CHANNEL = "trust-web3-provider:frames";
+
+// a top frame without a provider (or with frames: false) never answers the hello
+const HANDSHAKE_TIMEOUT = 3000;
+
+// ConnectionState.disconnected of the provider
+const DISCONNECTED = "disconnected";
+
+// how deep frames nested in frames are looked for
+const MAX_FRAME_DEPTH = 5;
+
+// served by the frame's own provider, subscriptions notify through its "message" event
+const LOCAL_METHODS = [
+  "eth_newFilter",
+  "eth_newBlockFilter",
+  "eth_newPendingTransactionFilter",
+  "eth_uninstallFilter",
+  "eth_getFilterChanges",
+  "eth_getFilterLogs",
+  "eth_subscribe",
+  "eth_unsubscribe",
+];
+
+function isChannelMessage(message) {
+  return !!message && typeof message === "object" && message.channel === CHANNEL;
+}
+
+/**
+ * Top frame side of the channel: serves wallet requests of child frames through the provider.
+ * Requests are tagged with the origin the browser reports for the frame and answered to that frame only.
+ */
+class FrameHost {
+  constructor(provider) {
+    this.provider = provider;
+    // frame window -> {id, origin, metadata, source, accounts, requests: frame request id -> AbortController}
+    this.frames = new Map();
+    this.nextId = 1;
+    this.onMessage = this.handleMessage.bind(this);
+  }
+
+  static get channel() {
+    return CHANNEL;
+  }
+
+  start() {
+    window.addEventListener("message", this.onMessage);
+  }
+
+  stop() {
+    window.removeEventListener("message", this.onMessage);
+    this.frames.forEach((frame) => this.release(frame));
+    this.frames.clear();
+  }
+
+  list() {
+    return Array.from(this.frames.values()).map((frame) => ({ id: frame.id, origin: frame.origin }));
+  }
+
+  handleMessage(event) {
+    const message = event.data;
+    // only frames of this page, other windows (openers, popups) can't use the channel
+    if (!isChannelMessage(message) || !FrameHost.isChildFrame(event.source)) {
+      return;
+    }
+    switch (message.type) {
+      case "hello":
+        return this.connect(event);
+      case "request":
+        return this.request(event, message);
+      case "cancel":
+        return this.cancel(event, message);
+    }
+  }
+
+  /**
+   * A frame's provider started, a frame that navigated says hello again with a new document.
+   */
+  connect(event) {
+    // sandboxed frames have an opaque origin, nothing to authorize and no way to answer only them
+    if (!FrameHost.isTargetable(event.origin)) {
+      return;
+    }
+    const previous = this.frames.get(event.source);
+    if (previous) {
+      this.release(previous);
+    }
+    const frame = {
+      id: this.nextId++,
+      origin: event.origin,
+      // cosmetic, the frame tells about itself with each request
+      metadata: {},
+      source: event.source,
+      accounts: this.provider.getAccounts(event.origin),
+      requests: new Map(),
+      closed: false,
+    };
+    this.frames.set(event.source, frame);
+    this.post(frame, {
+      type: "state",
+      chainId: this.provider.chainId,
+      accounts: frame.accounts,
+      connectionState: this.provider.connectionState,
+    });
+  }
+
+  request(event, message) {
+    const frame = this.frameOf(event);
+    if (!frame) {
+      const error = ProviderRpcError.disconnected("The frame is not connected to the wallet");
+      return this.send(event.source, event.origin, { type: "response", id: message.id, error: error.toJSON() });
+    }
+    frame.metadata = DappMetadata.sanitize(message.dapp);
+    const request = message.payload || {};
+    const payload = { jsonrpc: "2.0", id: message.id, method: request.method, params: request.params };
+    // the provider gives the request its own id, it's cancelled through its signal
+    const controller = new AbortController();
+    frame.requests.set(message.id, controller);
+    this.provider
+      ._request(payload, false, controller.signal, frame)
+      .then((result) => this.respond(frame, message.id, { result: result }))
+      .catch((error) => this.respond(frame, message.id, { error: ProviderRpcError.from(error).toJSON() }));
+  }
+
+  cancel(event, message) {
+    const frame = this.frameOf(event);
+    const controller = frame && frame.requests.get(message.id);
+    if (controller) {
+      controller.abort();
+    }
+  }
+
+  respond(frame, id, response) {
+    frame.requests.delete(id);
+    this.post(frame, Object.assign({ type: "response", id: id }, response));
+  }
+
+  /**
+   * Tell frames whose origin sees different accounts now, each origin has its own authorization.
+   */
+  syncAccounts() {
+    this.frames.forEach((frame) => {
+      const accounts = this.provider.getAccounts(frame.origin);
+      if (!AccountStore.equals(frame.accounts, accounts)) {
+        frame.accounts = accounts;
+        this.emit(frame, "accountsChanged", { accounts: accounts });
+      }
+    });
+  }
+
+  syncChain() {
+    this.frames.forEach((frame) => {
+      this.emit(frame, "chainChanged", { chainId: this.provider.chainId });
+    });
+  }
+
+  syncConnection(error) {
+    const data = {
+      state: this.provider.connectionState,
+      error: error ? ProviderRpcError.from(error).toJSON() : null,
+    };
+    this.frames.forEach((frame) => this.emit(frame, "connectionState", data));
+  }
+
+  emit(frame, event, data) {
+    this.post(frame, { type: "event", event: event, data: data });
+  }
+
+  /**
+   * @private The registered frame behind a message, null if it didn't say hello or navigated elsewhere
+   */
+  frameOf(event) {
+    const frame = this.frames.get(event.source);
+    return frame && frame.origin === event.origin ? frame : null;
+  }
+
+  /**
+   * @private Drop what a frame still has pending, nobody is there to get the answers
+   */
+  release(frame) {
+    frame.closed = true;
+    frame.requests.forEach((controller) => controller.abort());
+    frame.requests.clear();
+  }
+
+  post(frame, message) {
+    if (frame.closed) {
+      return;
+    }
+    if (frame.source.closed) {
+      this.release(frame);
+      this.frames.delete(frame.source);
+      return;
+    }
+    this.send(frame.source, frame.origin, Object.assign({ frameId: frame.id }, message));
+  }
+
+  send(target, origin, message) {
+    if (!FrameHost.isTargetable(origin)) {
+      return;
+    }
+    try {
+      target.postMessage(Object.assign({ channel: CHANNEL }, message), origin);
+    } catch (error) {
+      if (this.provider.isDebug) {
+        console.log(`<== frame message failed ${error}`);
+      }
+    }
+  }
+
+  /**
+   * Whether source is a frame of this page, frames nested in them included
+   */
+  static isChildFrame(source, parent = window, depth = 0) {
+    if (!source || source === window) {
+      return false;
+    }
+    try {
+      for (let i = 0; i < parent.frames.length; i++) {
+        const frame = parent.frames[i];
+        if (frame === source || (depth < MAX_FRAME_DEPTH && FrameHost.isChildFrame(source, frame, depth + 1))) {
+          return true;
+        }
+      }
+    } catch (error) {
+      // a frame went away while we looked
+    }
+    return false;
+  }
+
+  /**
+   * Messages only go to a concrete origin, never "*" or a sandboxed frame's "null"
+   */
+  static isTargetable(origin) {
+    return typeof origin === "string" && origin !== "*" && origin !== "null" && origin.length > 0;
+  }
+}
+
+/**
+ * Child frame side of the channel: the frame's provider relays wallet methods to the top frame's provider,
+ * which holds the accounts and talks to native. Read only calls and filters are served locally.
+ */
+class FrameClient {
+  constructor(provider, target = window.top) {
+    this.provider = provider;
+    this.target = target;
+    // what the top frame authorized for this frame's origin
+    this.accounts = [];
+    this.frameId = null;
+    this.connected = false;
+    this.unavailable = false;
+    // forwarded before the handshake finished
+    this.queue = [];
+    this.requests = new Set();
+    this.timer = null;
+    // the top frame's chain has no rpc configured here, reads go through the top frame too
+    this.relayReads = false;
+    this.onMessage = this.handleMessage.bind(this);
+  }
+
+  static isAvailable() {
+    return !!window.top && window.top !== window;
+  }
+
+  /**
+   * The top frame's origin when the browser tells (ancestorOrigins), null otherwise.
+   */
+  static targetOrigin() {
+    const ancestors = window.location.ancestorOrigins;
+    return ancestors && ancestors.length > 0 ? ancestors[ancestors.length - 1] : null;
+  }
+
+  start() {
+    // wallet requests never go to a top frame we can't name
+    if (!FrameHost.isTargetable(FrameClient.targetOrigin())) {
+      return this.fail(ProviderRpcError.disconnected("The top frame's origin is unknown"));
+    }
+    window.addEventListener("message", this.onMessage);
+    this.timer = setTimeout(() => {
+      this.fail(ProviderRpcError.disconnected("The top frame doesn't serve wallet requests"));
+    }, HANDSHAKE_TIMEOUT);
+    this.post({ type: "hello" });
+  }
+
+  stop() {
+    window.removeEventListener("message", this.onMessage);
+    clearTimeout(this.timer);
+  }
+
+  handles(method) {
+    if (LOCAL_METHODS.indexOf(method) !== -1) {
+      return false;
+    }
+    return this.relayReads || !this.provider.isUpstreamMethod(method);
+  }
+
+  forward(payload) {
+    if (this.unavailable) {
+      return this.provider.sendError(payload.id, ProviderRpcError.disconnected("The top frame doesn't serve wallet requests"));
+    }
+    const message = {
+      type: "request",
+      id: payload.id,
+      payload: { method: payload.method, params: payload.params },
+      // collected when the request is made, the frame's document is complete by then
+      dapp: this.provider.metadata.collect(),
+    };
+    this.requests.add(payload.id);
+    if (this.connected) {
+      this.post(message);
+    } else {
+      this.queue.push(message);
+    }
+  }
+
+  cancel(id) {
+    if (!this.requests.delete(id)) {
+      return;
+    }
+    if (this.connected) {
+      this.post({ type: "cancel", id: id });
+    } else {
+      this.queue = this.queue.filter((message) => message.id !== id);
+    }
+  }
+
+  handleMessage(event) {
+    const message = event.data;
+    if (event.source !== this.target || !isChannelMessage(message)) {
+      return;
+    }
+    if (event.origin !== FrameClient.targetOrigin()) {
+      return;
+    }
+    switch (message.type) {
+      case "state":
+        return this.onState(message);
+      case "response":
+        return this.onResponse(message);
+      case "event":
+        return this.onEvent(message.event, message.data || {});
+    }
+  }
+
+  onState(message) {
+    clearTimeout(this.timer);
+    this.frameId = message.frameId;
+    this.connected = true;
+    this.unavailable = false;
+    this.onEvent("chainChanged", { chainId: message.chainId });
+    this.onEvent("accountsChanged", { accounts: message.accounts });
+    this.onEvent("connectionState", { state: message.connectionState });
+    const queue = this.queue;
+    this.queue = [];
+    queue.forEach((item) => this.post(item));
+  }
+
+  onResponse(message) {
+    if (!this.requests.delete(message.id)) {
+      return;
+    }
+    if (message.error) {
+      this.provider.sendError(message.id, message.error);
+    } else {
+      this.provider.sendResponse(message.id, message.result);
+    }
+  }
+
+  onEvent(event, data) {
+    const provider = this.provider;
+    switch (event) {
+      case "accountsChanged":
+        return provider.updateAccounts(() => {
+          this.accounts = Array.isArray(data.accounts) ? data.accounts : [];
+        });
+      case "chainChanged": {
+        if (!data.chainId || data.chainId === provider.chainId) {
+          return;
+        }
+        // the top frame keeps its rpc urls, reads use ours when this frame was configured with the chain
+        const configured = provider.chains.isConfigured(data.chainId);
+        this.relayReads = !configured;
+        return provider.setChain(Utils.hexToInt(data.chainId), configured ? provider.chains.get(data.chainId).rpcUrls : null);
+      }
+      case "connectionState":
+        return provider.setConnectionState(data.state, data.error ? ProviderRpcError.from(data.error) : undefined);
+    }
+  }
+
+  /**
+   * @private No top frame provider answered, fail what is waiting and everything that follows
+   */
+  fail(error) {
+    this.unavailable = true;
+    const queue = this.queue;
+    this.queue = [];
+    queue.forEach((message) => {
+      this.requests.delete(message.id);
+      this.provider.sendError(message.id, error);
+    });
+    this.provider.setConnectionState(DISCONNECTED, error);
+  }
+
+  post(message) {
+    const origin = FrameClient.targetOrigin();
+    if (!FrameHost.isTargetable(origin)) {
+      return;
+    }
+    try {
+      this.target.postMessage(Object.assign({ channel: CHANNEL }, message), origin);
+    } catch (error) {
+      if (this.provider.isDebug) {
+        console.log(`==> frame message failed ${error}`);
+      }
+    }
+  }
+}
+
+module.exports = {
+  FrameHost,
+  FrameClient,
+};
@@ -8,35 +8,29 @@
 
 import Utils from "./utils";
 
+/**
+ * Every request gets its own numeric id for native and the pending registry, dapps reuse ids
+ * across parallel requests or send strings, the response carries the dapp's id again.
+ */
 class IdMapping {
   constructor() {
     this.intIds = new Map;
+    this.lastId = 0;
   }
 
   tryIntifyId(payload) {
-    if (!payload.id) {
-      payload.id = Utils.genId();
-      return;
-    }
-    if (typeof payload.id !== "number") {
-      let newId = Utils.genId();
-      this.intIds.set(newId, payload.id);
-      payload.id = newId;
-    }
-  }
-
-  tryRestoreId(payload) {
-    let id = this.tryPopId(payload.id);
-    if (id) {
-      payload.id = id;
-    }
+    const id = ++this.lastId;
+    // requests without an id get a generated one back, not our counter
+    this.intIds.set(id, payload.id === undefined || payload.id === null ? Utils.genId() : payload.id);
+    payload.id = id;
   }
 
+  /**
+   * The dapp's id of a request, generated if it had none
+   */
   tryPopId(id) {
     let originId = this.intIds.get(id);
-    if (originId) {
-      this.intIds.delete(id);
-    }
+    this.intIds.delete(id);
     return originId;
   }
 }
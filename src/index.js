@@ -6,95 +6,548 @@
 
 "use strict";
 
-import Web3 from "web3";
 import RPCServer from "./rpc";
+import CachedRPCServer from "./cached_rpc";
 import ProviderRpcError from "./error";
 import Utils from "./utils";
 import IdMapping from "./id_mapping";
+import { Bridge } from "./bridge";
+import ProviderAnnouncer from "./eip6963";
+import FilterManager from "./filters";
+import PendingRequests from "./pending_requests";
+import AccountStore from "./accounts";
+import PermissionStore from "./permissions";
 import { EventEmitter } from "events";
 import isUtf8 from "isutf8";
-import { TypedDataUtils } from "eth-sig-util";
+import TypedData from "./typed_data";
+import TransactionPreprocessor from "./transaction";
+import TransactionPreview from "./preview";
+import CallsManager from "./calls";
+import ChainRegistry from "./chains";
+import AssetVerifier from "./assets";
+import SiweMessage from "./siwe";
+import SignPolicy from "./sign_policy";
+import SignatureVerifier from "./signatures";
+import { FrameHost, FrameClient } from "./frames";
+import DappMetadata from "./metadata";
+import LegacyWeb3 from "./legacy_web3";
+import ProviderEvents from "./provider_events";
+import RequestEngine from "./engine";
+import {
+  createLoggerMiddleware,
+  createIdMappingMiddleware,
+  createFrameMiddleware,
+  createWalletMiddleware,
+  createProxyMiddleware,
+  createUpstreamMiddleware,
+} from "./middlewares";
+
+// provider method answering a wallet method through sendResponse / sendError
+const handler = (name) => (provider, payload) => provider[name](payload);
+const filter = handler("eth_filter");
+const signTypedData = handler("eth_signTypedData");
+
+// methods answered by the provider or native, everything else goes on down the middleware stack to RPCServer
+const WALLET_METHODS = {
+  eth_accounts: (provider, payload) =>
+    provider.sendResponse(payload.id, provider.getAccounts(provider.originOf(payload))),
+  eth_coinbase: (provider, payload) =>
+    provider.sendResponse(payload.id, provider.getAccounts(provider.originOf(payload))[0] || null),
+  net_version: (provider, payload) => provider.sendResponse(payload.id, provider.net_version()),
+  eth_chainId: (provider, payload) => provider.sendResponse(payload.id, provider.eth_chainId()),
+  eth_sign: handler("eth_sign"),
+  personal_sign: handler("personal_sign"),
+  personal_ecRecover: handler("personal_ecRecover"),
+  eth_signTypedData: signTypedData,
+  eth_signTypedData_v3: signTypedData,
+  eth_signTypedData_v4: signTypedData,
+  eth_sendTransaction: handler("eth_sendTransaction"),
+  eth_requestAccounts: handler("eth_requestAccounts"),
+  wallet_watchAsset: handler("wallet_watchAsset"),
+  wallet_addEthereumChain: handler("wallet_addEthereumChain"),
+  wallet_switchEthereumChain: handler("wallet_switchEthereumChain"),
+  wallet_getPermissions: handler("wallet_getPermissions"),
+  wallet_requestPermissions: handler("wallet_requestPermissions"),
+  wallet_revokePermissions: handler("wallet_revokePermissions"),
+  wallet_getCapabilities: handler("wallet_getCapabilities"),
+  wallet_sendCalls: handler("wallet_sendCalls"),
+  wallet_getCallsStatus: handler("wallet_getCallsStatus"),
+  eth_newFilter: filter,
+  eth_newBlockFilter: filter,
+  eth_newPendingTransactionFilter: filter,
+  eth_uninstallFilter: filter,
+  eth_getFilterChanges: filter,
+  eth_getFilterLogs: filter,
+  eth_subscribe: filter,
+  eth_unsubscribe: filter,
+};
+
+// EIP-1193 connectivity, connected means we can serve requests for the current chain
+const ConnectionState = {
+  connecting: "connecting",
+  connected: "connected",
+  // native bridge is gone, nothing can be signed
+  disconnected: "disconnected",
+  // rpc endpoints of the current chain are unreachable
+  chainDisconnected: "chainDisconnected",
+};
+
+// the confirmation sheet shouldn't wait on a slow node
+const PREVIEW_TIMEOUT = 3000;
 
 class TrustWeb3Provider extends EventEmitter {
   constructor(config) {
     super();
+    // in a child frame wallet methods go through the top frame's provider
+    this.frameClient = config.frames !== false && FrameClient.isAvailable() ? new FrameClient(this) : null;
     this.initConfig(config);
 
     this.idMapping = new IdMapping();
-    this.callbacks = new Map();
-    this.wrapResults = new Map();
+    this.pending = new PendingRequests(config.timeouts);
+    this.filters = new FilterManager(this, config.pollingInterval);
+    this.transactions = new TransactionPreprocessor(this);
+    this.calls = new CallsManager(this, config.capabilities);
+    this.assets = new AssetVerifier(this);
+    this.signPolicy = new SignPolicy(config.ethSignPolicy);
+    this.signatures = new SignatureVerifier(this);
+    this.metadata = new DappMetadata(document, this.isDebug);
+    // "strict" EIP-1193 events or "legacy" (default) with MetaMask's deprecated ones too
+    this.events = new ProviderEvents(this, config.events);
+    // host middlewares (req, res, next, end) run before the provider routes a request, see use()
+    this.middlewares = [];
+    this.engine = this.createEngine();
+    (config.middlewares || []).forEach((middleware) => this.use(middleware));
     this.setMaxListeners(100);
     this.ready = true;
 
-    this.emitConnect(this.chainId);
+    // dapps can't listen before the constructor returns, emit connect on the next tick
+    // and replay it for listeners that show up later
+    this.connectionState = ConnectionState.connecting;
+    this.on("newListener", (event, listener) => {
+      if (event === "connect" && this.connectionState === ConnectionState.connected) {
+        setTimeout(() => this.replayConnect(listener), 0);
+      }
+    });
+    setTimeout(() => {
+      // frames connect once the top frame answered
+      if (this.connectionState === ConnectionState.connecting && !this.frameClient) {
+        this.setConnectionState(ConnectionState.connected);
+      }
+    }, 0);
+
+    if (this.frameClient) {
+      this.frameClient.start();
+    } else if (config.frames !== false) {
+      this.frameHost = new FrameHost(this);
+      this.frameHost.start();
+    }
+
+    // nothing to announce without the host wallet's own identity
+    if (config.eip6963 !== false && ProviderAnnouncer.isValidInfo(config.providerInfo)) {
+      this.announcer = new ProviderAnnouncer(this, config.providerInfo);
+      this.announcer.start();
+    }
   }
 
   initConfig(config) {
-    this.address = config.address;
-    this.selectedAddress = config.address;
+    this.origin = window.location.origin;
+    this.accountStore = new AccountStore(!!config.checksumAddresses);
+    this.permissions = new PermissionStore();
+    // without seeded permissions, accounts injected by the host count as consent
+    this.strictPermissions = !!config.permissions;
+    // origins the user revoked eth_accounts for, host accounts don't count as consent again until they reconnect
+    this.revokedOrigins = new Set();
+    Object.keys(config.permissions || {}).forEach((origin) => {
+      this.permissions.set(origin, config.permissions[origin]);
+    });
+    this.accountStore.set(this.origin, config.accounts || [config.address]);
+    this.syncImplicitPermission(this.origin);
+    this.address = (this.eth_accounts()[0] || "").toLowerCase();
+    this.selectedAddress = this.address;
 
     this.chainId = Utils.intToHex(config.chainId);
     this.networkVersion = "" + config.chainId;
-    this.rpc = new RPCServer(config.rpcUrl);
-
+    // networks we can switch to without native, the active one included
+    this.chains = new ChainRegistry(config.chains);
+    this.registerChain(config.chainId, config.rpcUrl);
+    this.rpcCache = config.rpcCache;
+    this.rpcOptions = config.rpcOptions;
     this.isDebug = !!config.isDebug;
+    this.rpc = this.createRPCServer(config.rpcUrl);
+
     this.isProxyRPC = !!config.isProxyRPC;
+    // fill nonce, gas and fees before eth_sendTransaction reaches native
+    this.fillTransaction = config.fillTransaction !== false;
+    this.transactionPreview = config.transactionPreview !== false;
+
+    // resolved lazily, native handlers may be injected after this script
+    this.bridge = config.bridge instanceof Bridge ? config.bridge : null;
+    this.bridgeType = typeof config.bridge === "string" ? config.bridge : null;
+    this.bridgeName = config.bridgeName || "ethWeb3";
+    // parent page origin the "parent" bridge posts to
+    this.bridgeOrigin = config.bridgeOrigin || null;
+  }
+
+  /**
+   * rpcUrl may be a list of fallback urls, config.rpcOptions tunes retries and timeouts,
+   * config.rpcCache takes CachedRPCServer options, false disables caching
+   */
+  createRPCServer(rpcUrl) {
+    const rpc = this.rpcCache === false
+      ? new RPCServer(rpcUrl, this.rpcOptions)
+      : new CachedRPCServer(rpcUrl, this.rpcCache, this.rpcOptions);
+    rpc.isDebug = this.isDebug;
+    return rpc;
+  }
+
+  setBridge(bridge) {
+    this.bridge = Bridge.create(bridge, this.bridgeName, this.bridgeOrigin);
+  }
+
+  getBridge() {
+    if (!this.bridge) {
+      this.bridge = Bridge.create(this.bridgeType, this.bridgeName, this.bridgeOrigin);
+    }
+    return this.bridge;
   }
 
   setAddress(address) {
-    let newAddress = (address || "").toLowerCase();
+    this.setAccounts(address ? [address] : []);
+  }
+
+  /**
+   * Authorized accounts for an origin (the page by default), selected account first.
+   */
+  setAccounts(accounts, origin = this.origin) {
+    this.updateAccounts(() => {
+      this.accountStore.set(origin, accounts);
+      this.syncImplicitPermission(origin);
+    });
+  }
+
+  /**
+   * Accounts an origin may see: nothing without the eth_accounts permission or while the wallet
+   * is locked (no accounts set), only the restrictReturnedAccounts caveat when there is one.
+   */
+  getAccounts(origin = this.origin) {
+    if (this.frameClient) {
+      return this.frameClient.accounts.slice();
+    }
+    if (!this.permissions.has(origin, PermissionStore.ethAccounts)) {
+      return [];
+    }
+    const accounts = this.accountStore.get(origin);
+    const restricted = this.permissions.restrictedAccounts(origin);
+    if (!restricted) {
+      return this.accountStore.format(accounts);
+    }
+    return this.accountStore.format(restricted.filter((address) => accounts.indexOf(address) !== -1));
+  }
+
+  /**
+   * Native sync of EIP-2255 permissions for an origin, e.g. [{parentCapability: "eth_accounts", caveats: [...]}]
+   */
+  setPermissions(permissions, origin = this.origin) {
+    this.strictPermissions = true;
+    this.updateAccounts(() => this.permissions.set(origin, permissions));
+  }
+
+  getPermissions(origin = this.origin) {
+    return this.permissions.get(origin).map((permission) => {
+      if (permission.parentCapability !== PermissionStore.ethAccounts) {
+        return permission;
+      }
+      const caveats = permission.caveats
+        .filter((caveat) => caveat.type !== PermissionStore.restrictReturnedAccounts)
+        .concat({ type: PermissionStore.restrictReturnedAccounts, value: this.getAccounts(origin) });
+      return Object.assign({}, permission, { caveats: caveats });
+    });
+  }
+
+  /**
+   * @private Legacy hosts don't manage permissions, accounts they set are authorized
+   */
+  syncImplicitPermission(origin) {
+    if (this.strictPermissions) {
+      return;
+    }
+    if (this.accountStore.get(origin).length > 0) {
+      if (!this.permissions.has(origin, PermissionStore.ethAccounts) && !this.revokedOrigins.has(origin)) {
+        this.permissions.grant(origin, PermissionStore.ethAccounts);
+      }
+    } else {
+      this.permissions.revoke(origin, [PermissionStore.ethAccounts]);
+    }
+  }
+
+  /**
+   * @private Apply an accounts or permissions change, emits accountsChanged if what the page sees changed
+   */
+  updateAccounts(change) {
+    const before = this.eth_accounts();
+    change();
+    if (this.frameHost) {
+      this.frameHost.syncAccounts();
+    }
+    const after = this.eth_accounts();
+    if (AccountStore.equals(before, after)) {
+      return;
+    }
+    let newAddress = (after[0] || "").toLowerCase();
     if (this.address !== newAddress) {
       this.address = newAddress;
       this.selectedAddress = newAddress;
+      // whatever native is asking the user to sign belongs to the previous account
+      this.rejectPendingRequests(
+        PendingRequests.signingMethods,
+        ProviderRpcError.unauthorized("The active account changed")
+      );
+    }
+    this.emitAccountsChanged(after);
+  }
+
+  /**
+   * @private Child frame a pending request came from, null for the page itself
+   */
+  frameOf(id) {
+    const entry = this.pending.get(id);
+    return entry && entry.frame ? entry.frame : null;
+  }
+
+  /**
+   * @private Origin accounts and permissions of a request are looked up for
+   */
+  originOf(payload) {
+    const frame = this.frameOf(payload.id);
+    return frame ? frame.origin : this.origin;
+  }
 
-      this.emitAccountChanged(this.address);
+  /**
+   * @private Transform the native result of a pending request before the dapp gets it
+   */
+  onResult(id, transform) {
+    const entry = this.pending.get(id);
+    if (entry) {
+      entry.onResult = transform;
     }
   }
 
   setChain(chainId, rpcUrl) { 
+    this.registerChain(chainId, rpcUrl);
     if (this.chainId !== Utils.intToHex(chainId)) {
       this.chainId = Utils.intToHex(chainId);
       this.networkVersion = "" + chainId;
-      this.rpc = new RPCServer(rpcUrl);
+      // a new server also means a fresh cache
+      this.rpc = this.createRPCServer(rpcUrl);
+      // filter ids and block numbers belong to the old chain
+      this.filters.reset();
+      this.rejectPendingRequests(
+        PendingRequests.signingMethods,
+        ProviderRpcError.chainDisconnected("The active chain changed")
+      );
+      if (this.frameHost) {
+        this.frameHost.syncChain();
+      }
 
       this.emitChainChanged(this.chainId);
     }
   }
 
+  /**
+   * @private Keep the registry entry of a chain the host configured up to date
+   */
+  registerChain(chainId, rpcUrl) {
+    if (chainId !== undefined && chainId !== null && rpcUrl) {
+      this.chains.add({ chainId: chainId, rpcUrl: rpcUrl });
+    }
+  }
+
   setConfig(config) {
-    this.setAddress(config.address);
-    this.setChain(config.chainId, config.rpcUrl);
+    // before anything below emits
+    if (config.events) {
+      this.events.setMode(config.events);
+    }
+    (config.chains || []).forEach((chain) => this.chains.add(chain));
+    if (config.accounts) {
+      this.setAccounts(config.accounts);
+    } else {
+      this.setAddress(config.address);
+    }
     this.isDebug = !!config.isDebug;
+    this.setChain(config.chainId, config.rpcUrl);
+    this.rpc.isDebug = this.isDebug;
+    this.metadata.isDebug = this.isDebug;
     this.isProxyRPC = !!config.isProxyRPC;
+    this.fillTransaction = config.fillTransaction !== false;
+    this.transactionPreview = config.transactionPreview !== false;
+    if (config.capabilities) {
+      this.calls.setCapabilities(config.capabilities);
+    }
+    if (config.ethSignPolicy) {
+      this.signPolicy.setConfig(config.ethSignPolicy);
+    }
+    if (config.timeouts) {
+      this.pending.setTimeouts(config.timeouts);
+    }
+  }
+
+  /**
+   * Requests still waiting for native, e.g. [{id, method, createdAt, native}], upstream reads aren't listed
+   */
+  getPendingRequests() {
+    return this.pending.list();
+  }
+
+  /**
+   * Reject pending requests, all of them or only the given methods, native is told to dismiss its sheets.
+   */
+  rejectPendingRequests(methods = null, error = ProviderRpcError.userRejected()) {
+    this.pending.list()
+      .filter((request) => !methods || methods.indexOf(request.method) !== -1)
+      .forEach((request) => this.expireRequest(request.id, error));
+  }
+
+  /**
+   * @private Drop a request that won't get a response anymore
+   */
+  expireRequest(id, error) {
+    const entry = this.pending.get(id);
+    if (!entry) {
+      return;
+    }
+    if (this.frameClient) {
+      this.frameClient.cancel(id);
+    } else if (entry.native) {
+      this.postMessage("cancelRequest", Utils.genId(), { id: "" + id });
+    }
+    this.sendError(id, error);
+  }
+
+  /**
+   * Move the state machine, emits connect / disconnect on transitions from and to connected.
+   */
+  setConnectionState(state, error) {
+    const previous = this.connectionState;
+    if (previous === state) {
+      return;
+    }
+    this.connectionState = state;
+    if (this.isDebug) {
+      console.log(`<== connection state ${previous} -> ${state}`);
+    }
+    if (this.frameHost) {
+      this.frameHost.syncConnection(error);
+    }
+    if (state === ConnectionState.connected) {
+      this.emitConnect(this.chainId);
+    } else if (previous === ConnectionState.connected) {
+      this.emitDisconnect(error);
+    }
+  }
+
+  /**
+   * @private Upstream rpc outcome, the chain is unreachable once every endpoint failed
+   */
+  updateRpcReachability(error) {
+    const unreachable = !!error && error.code === ProviderRpcError.codes.rpc.resourceUnavailable;
+    if (unreachable && this.connectionState === ConnectionState.connected) {
+      this.setConnectionState(
+        ConnectionState.chainDisconnected,
+        ProviderRpcError.chainDisconnected(error.message)
+      );
+    } else if (!unreachable && this.connectionState === ConnectionState.chainDisconnected) {
+      this.setConnectionState(ConnectionState.connected);
+    }
+  }
+
+  /**
+   * @private Call a connect listener registered after we connected, once listeners are consumed
+   */
+  replayConnect(listener) {
+    if (this.connectionState !== ConnectionState.connected) {
+      return;
+    }
+    const raw = this.rawListeners("connect").find((item) => item === listener || item.listener === listener);
+    if (!raw) {
+      return;
+    }
+    if (raw !== listener) {
+      this.removeListener("connect", listener);
+    }
+    listener.call(this, { chainId: this.chainId });
   }
 
   emitConnect(chainId) {
-    this.emit("connect", { chainId: chainId });
+    this.events.connect(chainId);
+  }
+
+  emitDisconnect(error) {
+    this.events.disconnect(error);
   }
 
   emitChainChanged(chainId) {
-    this.emit("chainChanged", chainId);
-    this.emit("networkChanged", chainId);
+    this.events.chainChanged(chainId, this.networkVersion);
+  }
+
+  emitAccountsChanged(accounts) {
+    this.events.accountsChanged(accounts);
+  }
+
+  /**
+   * EIP-1193 "message" event, native can push its own types too
+   */
+  emitMessage(type, data) {
+    this.events.message(type, data);
+  }
+
+  /**
+   * Signer of a personal_sign message (hex or text), lowercase address
+   */
+  recoverPersonalSignature(message, signature) {
+    return SignatureVerifier.recoverPersonal(message, signature);
+  }
+
+  /**
+   * Signer of EIP-712 typed data (object or JSON string), version is "V1", "V3" or "V4"
+   */
+  recoverTypedSignature(typedData, signature, version = "V4") {
+    return SignatureVerifier.recoverTypedData(typedData, signature, version);
   }
 
-  emitAccountChanged(address) {
-    this.emit("accountsChanged", [address]);
+  /**
+   * Resolves true when address signed message, smart contract wallets are checked with ERC-1271
+   */
+  verifyPersonalSignature(address, message, signature) {
+    return Promise.resolve().then(() => this.signatures.verify(address, SignatureVerifier.hashMessage(message), signature));
   }
 
-  request(payload) {
+  verifyTypedSignature(address, typedData, signature, version = "V4") {
+    return Promise.resolve().then(() =>
+      this.signatures.verify(address, SignatureVerifier.hashTypedData(typedData, version), signature)
+    );
+  }
+
+  /**
+   * Passing an array sends a JSON-RPC batch and resolves with the response objects in order.
+   * options.signal takes an AbortSignal to give up on the request.
+   */
+  request(payload, options = {}) {
     // this points to window in methods like web3.eth.getAccounts()
     var that = this;
     if (!(this instanceof TrustWeb3Provider)) {
       that = window.ethereum;
     }
-    return that._request(payload, false);
+    if (Array.isArray(payload)) {
+      return that._requestBatch(payload, options.signal);
+    }
+    return that._request(payload, false, options.signal);
   }
 
   /**
-   * @deprecated Listen to "connect" event instead.
+   * Whether the provider can serve requests for the current chain, see "connect" / "disconnect" events.
    */
   isConnected() {
-    return true;
+    return this.connectionState === ConnectionState.connected;
   }
 
   /**
@@ -179,7 +632,11 @@ class TrustWeb3Provider extends EventEmitter {
       that = window.ethereum;
     }
 
-    if (isPayload && hasCallback) {
+    if (Array.isArray(payloadOrMethod) && hasCallback) {
+      that._requestBatch(payloadOrMethod)
+          .then(data => { callbackOrParams(null, data); })
+          .catch((error) => callbackOrParams(error, null));
+    } else if (isPayload && hasCallback) {
       that._request(response)
           .then(data => { callbackOrParams(null, data); })
           .catch((error) => callbackOrParams(error, null));
@@ -209,7 +666,8 @@ class TrustWeb3Provider extends EventEmitter {
       that = window.ethereum;
     }
     if (Array.isArray(payload)) {
-      Promise.all(payload.map(that._request.bind(that)))
+      that
+        ._requestBatch(payload)
         .then((data) => callback(null, data))
         .catch((error) => callback(error, null));
     } else {
@@ -221,100 +679,163 @@ class TrustWeb3Provider extends EventEmitter {
   }
 
   /**
-   * @private Internal rpc handler
+   * @private Internal batch rpc handler, read-only calls share one upstream request
+   * while wallet methods are routed one by one, errors are reported per item.
    */
-  _request(payload, wrapResult = true) {
-    this.idMapping.tryIntifyId(payload);
-    if (this.isDebug) {
-      console.log(`==> rpc request ${JSON.stringify(payload)}`);
+  _requestBatch(payloads, signal = null) {
+    const upstream = [];
+    const responses = payloads.map((payload, index) => {
+      // host middlewares see every request, so there's no shared upstream call with them
+      if (this.isUpstreamMethod(payload.method) && this.middlewares.length === 0 && !this.isRelayed(payload.method)) {
+        upstream.push(index);
+        return null;
+      }
+      return this._request(payload, true, signal)
+        .then((response) => Object.assign(response, { id: payload.id }))
+        .catch((error) => RPCServer.errorResponse(payload.id, error));
+    });
+
+    if (upstream.length > 0) {
+      // position based ids, dapps may send duplicated or missing ids in a batch
+      const batch = upstream.map((index, i) => ({
+        jsonrpc: "2.0",
+        id: i + 1,
+        method: payloads[index].method,
+        params: payloads[index].params || [],
+      }));
+      if (this.isDebug) {
+        console.log(`==> rpc batch request ${JSON.stringify(batch)}`);
+      }
+      const results = this.rpc.call(batch).then((items) => {
+        const failed = items.filter((item) => item.error);
+        this.updateRpcReachability(failed.length === items.length ? failed[0].error : null);
+        return items;
+      });
+      upstream.forEach((index, i) => {
+        const payload = payloads[index];
+        responses[index] = this.guardUpstream(results, payload.method, signal).then(
+          (items) => Object.assign({}, items[i], { id: payload.id }),
+          (error) => RPCServer.errorResponse(payload.id, error)
+        );
+      });
     }
+    return Promise.all(responses);
+  }
+
+  isUpstreamMethod(method) {
+    return !this.isProxyRPC && !Object.prototype.hasOwnProperty.call(WALLET_METHODS, method);
+  }
+
+  /**
+   * @private In a child frame, whether the top frame serves the method
+   */
+  isRelayed(method) {
+    return !!this.frameClient && this.frameClient.handles(method);
+  }
+
+  /**
+   * @private Settle like the upstream call, unless the method's timeout passes or signal aborts first.
+   * Reads never reach native, so they aren't pending
+   */
+  guardUpstream(call, method, signal) {
     return new Promise((resolve, reject) => {
-      if (!payload.id) {
-        payload.id = Utils.genId();
+      let timer = null;
+      const done = (settle, value) => {
+        clearTimeout(timer);
+        if (signal) {
+          signal.removeEventListener("abort", onAbort);
+        }
+        settle(value);
+      };
+      const onAbort = () => done(reject, ProviderRpcError.internal(`Request ${method} was aborted`));
+      if (signal && signal.aborted) {
+        return onAbort();
+      }
+      const timeout = this.pending.timeoutFor(method);
+      if (timeout > 0) {
+        timer = setTimeout(() => done(reject, ProviderRpcError.internal(`Request ${method} timed out after ${timeout}ms`)), timeout);
       }
-      if (!payload.jsonrpc) {
-        payload.jsonrpc = "2.0";
+      if (signal) {
+        signal.addEventListener("abort", onAbort);
       }
-      this.callbacks.set(payload.id, (error, data) => {
-        if (error) {
-          reject(error);
-        } else {
-          resolve(data);
+      call.then((value) => done(resolve, value), (error) => done(reject, error));
+    });
+  }
+
+  /**
+   * Add a middleware (req, res, next, end) in front of the provider's own routing, see RequestEngine.
+   * req.origin is the origin asking, a child frame's for requests relayed through FrameHost.
+   */
+  use(middleware) {
+    this.middlewares.push(middleware);
+    this.engine = this.createEngine();
+  }
+
+  /**
+   * @private Logging and id mapping first, then host middlewares, then the wallet's own routing
+   */
+  createEngine() {
+    return new RequestEngine(
+      [createLoggerMiddleware(this), createIdMappingMiddleware(this.idMapping)].concat(this.middlewares, [
+        createFrameMiddleware(this),
+        createWalletMiddleware(this, WALLET_METHODS),
+        createProxyMiddleware(this),
+        createUpstreamMiddleware(this),
+      ])
+    );
+  }
+
+  /**
+   * @private Internal rpc handler, frame is set for requests child frames relay through FrameHost
+   */
+  _request(payload, wrapResult = true, signal = null, frame = null) {
+    // middlewares work on a copy, ids get remapped and native shouldn't see the context
+    const req = Object.assign({}, payload);
+    if (!req.jsonrpc) {
+      req.jsonrpc = "2.0";
+    }
+    Object.defineProperties(req, {
+      origin: { value: frame ? frame.origin : this.origin },
+      frame: { value: frame },
+      signal: { value: signal },
+    });
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        return reject(ProviderRpcError.internal(`Request ${req.method} was aborted`));
+      }
+      this.engine.handle(req).then((res) => {
+        if (res.error) {
+          return reject(res.error);
         }
+        if (!wrapResult) {
+          return resolve(res.result);
+        }
+        const result = res.result;
+        const nested = result != null && typeof result === "object" && result.jsonrpc && result.result;
+        resolve({ jsonrpc: "2.0", id: res.id, result: nested ? result.result : result });
+      }).catch((error) => {
+        // a bug outside the middlewares' error handling, the caller still gets an answer
+        const internal = ProviderRpcError.internal(`Request ${req.method} failed: ${error && error.message}`);
+        this.sendError(req.id, internal);
+        reject(internal);
       });
-      this.wrapResults.set(payload.id, wrapResult);
-
-      switch (payload.method) {
-        case "eth_accounts":
-          return this.sendResponse(payload.id, this.eth_accounts());
-        case "eth_coinbase":
-          return this.sendResponse(payload.id, this.eth_coinbase());
-        case "net_version":
-          return this.sendResponse(payload.id, this.net_version());
-        case "eth_chainId":
-          return this.sendResponse(payload.id, this.eth_chainId());
-        case "eth_sign":
-          return this.eth_sign(payload);
-        case "personal_sign":
-          return this.personal_sign(payload);
-        case "personal_ecRecover":
-          return this.personal_ecRecover(payload);
-        case "eth_signTypedData_v3":
-          return this.eth_signTypedData(payload, false);
-        case "eth_signTypedData":
-        case "eth_signTypedData_v4":
-          return this.eth_signTypedData(payload, true);
-        case "eth_sendTransaction":
-          return this.eth_sendTransaction(payload);
-        case "eth_requestAccounts":
-          return this.eth_requestAccounts(payload);
-        case "wallet_watchAsset":
-          return this.wallet_watchAsset(payload);
-        case "wallet_addEthereumChain":
-          return this.wallet_addEthereumChain(payload);
-        case "wallet_switchEthereumChain":
-          return this.wallet_switchEthereumChain(payload);
-        case "wallet_getPermissions":
-          return this.wallet_getPermissions(payload);
-        case "wallet_requestPermissions":
-          return this.wallet_requestPermissions(payload);
-        case "wallet_revokePermissions":
-          return this.wallet_revokePermissions(payload);
-        case "eth_newFilter":
-        case "eth_newBlockFilter":
-        case "eth_newPendingTransactionFilter":
-        case "eth_uninstallFilter":
-        case "eth_subscribe":
-          throw new ProviderRpcError(
-            4200,
-            `MathWallet does not support calling ${payload.method}. Please use your own solution`
-          );
-        default:
-          if (this.isProxyRPC) {
-            return this.wallet_rpcCall(payload);
-          } 
-          // call upstream rpc
-          this.callbacks.delete(payload.id);
-          this.wrapResults.delete(payload.id);
-          return this.rpc
-            .call(payload)
-            .then((response) => {
-              if (this.isDebug) {
-                console.log(`<== rpc response ${JSON.stringify(response)}`);
-              }
-              wrapResult ? resolve(response) : resolve(response.result);
-            })
-            .catch(reject);
-      }
     });
   }
 
+  /**
+   * @private Track req until sendResponse / sendError answers it, or it times out or aborts
+   */
+  awaitResponse(req, callback) {
+    const entry = this.pending.add(req, callback, req.signal, (entry, error) => this.expireRequest(entry.id, error));
+    entry.frame = req.frame || null;
+  }
+
   eth_accounts() {
-    return this.address ? [this.address] : [];
+    return this.getAccounts();
   }
 
   eth_coinbase() {
-    return this.address;
+    return this.eth_accounts()[0] || null;
   }
 
   net_version() {
@@ -325,168 +846,440 @@ class TrustWeb3Provider extends EventEmitter {
     return this.chainId;
   }
 
+  eth_filter(payload) {
+    this.filters
+      .handle(payload)
+      .then((result) => this.sendResponse(payload.id, result))
+      .catch((error) => this.sendError(payload.id, error));
+  }
+
   wallet_rpcCall(payload) {
     this.postMessage("rpcCall", payload.id, payload);
   }
 
   eth_sign(payload) {
-    const message = Utils.handleSignParams(this.address, payload.params).data;
-    const buffer = Utils.messageToBuffer(message);
+    const origin = this.originOf(payload);
+    const params = Utils.handleSignParams(this.accountStore.get(origin), payload.params);
+    const buffer = Utils.messageToBuffer(params.data);
     const hex = Utils.bufferToHex(buffer);
     if (isUtf8(buffer)) {
+      if (this.signInWithEthereum(payload, { data: hex }, buffer.toString("utf8"), params.address)) {
+        return;
+      }
       this.postMessage("signPersonalMessage", payload.id, { data: hex });
-    } else {
-      this.postMessage("signMessage", payload.id, { data: hex });
+      return;
+    }
+    // no prefix is added to binary data, a hash or a transaction signed here can drain the account
+    const risk = this.signPolicy.evaluate(origin, buffer);
+    if (risk.action === SignPolicy.Action.block) {
+      return this.sendError(payload.id, ProviderRpcError.unsupportedMethod(`eth_sign is blocked for this data: ${risk.message}`, risk));
     }
+    this.postMessage("signMessage", payload.id, { data: hex, risk: risk });
   }
 
   personal_sign(payload) {
-    const message = Utils.handleSignParams(this.address, payload.params).data;
+    const params = Utils.handleSignParams(this.accountStore.get(this.originOf(payload)), payload.params);
+    const message = params.data;
     const buffer = Utils.messageToBuffer(message);
-    if (buffer.length === 0) {
-      // hex it
-      const hex = Utils.bufferToHex(message);
-      this.postMessage("signPersonalMessage", payload.id, { data: hex });
-    } else {
-      this.postMessage("signPersonalMessage", payload.id, { data: message });
+    // hex it
+    const data = buffer.length === 0 ? Utils.bufferToHex(message) : message;
+    const text = typeof message === "string" && message.indexOf("0x") === 0 && isUtf8(buffer) ? buffer.toString("utf8") : message;
+    if (this.signInWithEthereum(payload, { data: data }, text, params.address)) {
+      return;
     }
+    this.postMessage("signPersonalMessage", payload.id, { data: data });
   }
 
-  personal_ecRecover(payload) {
-    this.postMessage("ecRecover", payload.id, {
-      signature: payload.params[1],
-      message: payload.params[0],
+  /**
+   * @private EIP-4361 messages go to native as a login request, checked against the page, chain and account.
+   * Returns false when text isn't a SIWE message.
+   */
+  signInWithEthereum(payload, request, text, address) {
+    const message = SiweMessage.parse(text);
+    if (!message) {
+      return false;
+    }
+    const frame = this.frameOf(payload.id);
+    const warnings = SiweMessage.verify(message, {
+      location: frame ? SiweMessage.locationOf(frame.origin) : window.location,
+      chainId: Utils.hexToInt(this.chainId),
+      address: address || this.getAccounts(this.originOf(payload))[0],
+      now: Date.now(),
     });
+    const fields = Object.assign({}, message);
+    delete fields.errors;
+    this.postMessage("signInWithEthereum", payload.id, Object.assign({}, request, {
+      method: payload.method,
+      message: text,
+      siwe: fields,
+      warnings: warnings,
+    }));
+    return true;
   }
 
-  eth_signTypedData(payload, useV4) {
-    const message = JSON.parse(payload.params[1]);
-    const hash = TypedDataUtils.sign(message, useV4);
+  personal_ecRecover(payload) {
+    const [message, signature] = payload.params || [];
+    try {
+      this.sendResponse(payload.id, SignatureVerifier.recoverPersonal(message, signature));
+    } catch (error) {
+      this.sendError(payload.id, error);
+    }
+  }
+
+  eth_signTypedData(payload) {
+    let request;
+    let hash;
+    try {
+      request = TypedData.parse(payload.method, payload.params);
+      TypedData.validate(request.typedData, request.version, this.chainId);
+      hash = TypedData.hash(request.typedData, request.version);
+    } catch (error) {
+      return this.sendError(payload.id, error);
+    }
+    const accounts = this.getAccounts(this.originOf(payload)).map((address) => address.toLowerCase());
+    if (accounts.indexOf(request.address.toLowerCase()) === -1) {
+      return this.sendError(payload.id, ProviderRpcError.unauthorized(`${request.address} is not an authorized account`));
+    }
     this.postMessage("signTypedMessage", payload.id, {
-      data: "0x" + hash.toString("hex"),
-      raw: payload.params[1],
-      method: payload.method
+      data: hash,
+      raw: request.raw,
+      method: payload.method,
+      version: request.version,
+      address: request.address,
+      tree: TypedData.decode(request.typedData, request.version)
     });
   }
 
   eth_sendTransaction(payload) {
-    this.postMessage("signTransaction", payload.id, payload.params[0]);
+    this.transactions
+      // proxy hosts make the rpc calls in native, it fills the transaction there
+      .process((payload.params || [])[0], this.fillTransaction && !this.isProxyRPC, this.originOf(payload))
+      .then((transaction) => {
+        return this.previewTransaction(transaction).then((preview) => {
+          this.postMessage("signTransaction", payload.id, transaction, { preview: preview });
+        });
+      })
+      .catch((error) => this.sendError(payload.id, error));
+  }
+
+  /**
+   * @private Decoded call and simulation for the confirmation sheet, null when disabled, failed or too slow
+   */
+  previewTransaction(transaction) {
+    if (!this.transactionPreview) {
+      return Promise.resolve(null);
+    }
+    let timer;
+    const timeout = new Promise((resolve) => {
+      timer = setTimeout(() => resolve(null), PREVIEW_TIMEOUT);
+    });
+    const preview = Promise.resolve()
+      .then(() => new TransactionPreview(this.rpc).preview(transaction))
+      .catch((error) => {
+        if (this.isDebug) {
+          console.log("<== preview failed", error);
+        }
+        return null;
+      });
+    return Promise.race([preview, timeout]).then((result) => {
+      clearTimeout(timer);
+      return result;
+    });
   }
 
   eth_requestAccounts(payload) {
+    const origin = this.originOf(payload);
+    const accounts = this.getAccounts(origin);
+    if (accounts.length > 0) {
+      return this.sendResponse(payload.id, accounts);
+    }
+    this.onResult(payload.id, (result) => {
+      if (Array.isArray(result)) {
+        this.revokedOrigins.delete(origin);
+        this.updateAccounts(() => {
+          this.accountStore.set(origin, result);
+          this.permissions.grant(origin, PermissionStore.ethAccounts, [
+            { type: PermissionStore.restrictReturnedAccounts, value: AccountStore.normalize(result) },
+          ]);
+        });
+      }
+      return this.getAccounts(origin);
+    });
     this.postMessage("requestAccounts", payload.id, {});
   }
 
   wallet_watchAsset(payload) {
-    let options = payload.params.options;
-    this.postMessage("watchAsset", payload.id, {
-      type: payload.type,
-      contract: options.address,
-      symbol: options.symbol,
-      decimals: options.decimals || 0,
-      image: options.image || "",
-    });
+    let asset;
+    try {
+      asset = AssetVerifier.parse(payload.params, payload.type);
+    } catch (error) {
+      return this.sendError(payload.id, error);
+    }
+    this.assets
+      .verify(asset, this.originOf(payload))
+      .then((verified) => {
+        const message = {
+          type: verified.type,
+          contract: verified.address,
+          symbol: verified.symbol,
+          decimals: verified.decimals || 0,
+          image: verified.image,
+          verified: verified.verified,
+        };
+        if (verified.tokenId !== undefined) {
+          message.tokenId = verified.tokenId;
+        }
+        this.postMessage("watchAsset", payload.id, message);
+      })
+      .catch((error) => this.sendError(payload.id, error));
   }
 
   wallet_addEthereumChain(payload) {
-    this.postMessage("addEthereumChain", payload.id, payload.params[0]);
+    let chain;
+    try {
+      chain = ChainRegistry.parseAddParams(payload.params);
+    } catch (error) {
+      return this.sendError(payload.id, error);
+    }
+    if (chain.chainId === this.chainId) {
+      return this.sendResponse(payload.id, null);
+    }
+    this.onResult(payload.id, () => {
+      this.chains.addFromDapp(chain);
+      return null;
+    });
+    this.postMessage("addEthereumChain", payload.id, chain);
   }
 
+  /**
+   * Chains the host configured switch once native confirms, chains a dapp added are up to native,
+   * which follows up with setConfig, dapp supplied rpc urls never become this.rpc. Others are rejected with 4902
+   */
   wallet_switchEthereumChain(payload) {
-    this.postMessage("switchEthereumChain", payload.id, payload.params[0]);
+    let chainId;
+    try {
+      chainId = ChainRegistry.parseSwitchParams(payload.params);
+    } catch (error) {
+      return this.sendError(payload.id, error);
+    }
+    if (chainId === this.chainId) {
+      return this.sendResponse(payload.id, null);
+    }
+    // dapps fall back to wallet_addEthereumChain
+    if (!this.chains.has(chainId)) {
+      return this.sendError(payload.id, ProviderRpcError.unrecognizedChain(`Unrecognized chain ID ${chainId}`));
+    }
+    if (this.chains.isConfigured(chainId)) {
+      // switch as soon as native confirms, no need to wait for setConfig
+      this.onResult(payload.id, () => {
+        this.setChain(Utils.hexToInt(chainId), this.chains.get(chainId).rpcUrls);
+        return null;
+      });
+    }
+    this.postMessage("switchEthereumChain", payload.id, { chainId: chainId });
   }
 
   wallet_getPermissions(payload) {
-    this.postMessage("getPermissions", payload.id, {});
+    this.sendResponse(payload.id, this.getPermissions(this.originOf(payload)));
   }
 
   wallet_requestPermissions(payload) {
+    const capabilities = PermissionStore.requestedCapabilities(payload.params);
+    if (capabilities.length === 0) {
+      return this.sendError(payload.id, ProviderRpcError.invalidParams("no permissions requested"));
+    }
+    const origin = this.originOf(payload);
+    const granted = () => this.getPermissions(origin).filter((permission) => {
+      return capabilities.indexOf(permission.parentCapability) !== -1;
+    });
+    if (capabilities.every((capability) => this.permissions.has(origin, capability))) {
+      return this.sendResponse(payload.id, granted());
+    }
+    // native answers with the EIP-2255 permissions the user approved
+    this.onResult(payload.id, (result) => {
+      if (Array.isArray(result)) {
+        this.updateAccounts(() => {
+          result.forEach((permission) => {
+            this.permissions.grant(origin, permission.parentCapability, permission.caveats || []);
+            const restricted = this.permissions.restrictedAccounts(origin);
+            if (permission.parentCapability === PermissionStore.ethAccounts) {
+              this.revokedOrigins.delete(origin);
+              if (restricted) {
+                this.accountStore.set(origin, restricted);
+              }
+            }
+          });
+        });
+      }
+      return granted();
+    });
     this.postMessage("requestPermissions", payload.id, payload.params);
   }
 
   wallet_revokePermissions(payload) {
+    const capabilities = PermissionStore.revokedCapabilities(payload.params);
+    const origin = this.originOf(payload);
+    if (capabilities.indexOf(PermissionStore.ethAccounts) !== -1) {
+      this.revokedOrigins.add(origin);
+    }
+    // revoke right away, native only persists it
+    this.updateAccounts(() => this.permissions.revoke(origin, capabilities));
     this.postMessage("revokePermissions", payload.id, payload.params);
   }
+  wallet_getCapabilities(payload) {
+    try {
+      this.sendResponse(payload.id, this.calls.getCapabilities(payload.params, this.originOf(payload)));
+    } catch (error) {
+      this.sendError(payload.id, error);
+    }
+  }
+
+  wallet_sendCalls(payload) {
+    let bundle;
+    try {
+      bundle = this.calls.prepare(payload.params, this.originOf(payload));
+    } catch (error) {
+      return this.sendError(payload.id, error);
+    }
+    // native answers with the transaction hashes of the bundle
+    this.onResult(payload.id, (result) => this.calls.track(bundle, result));
+    this.postMessage("sendCalls", payload.id, bundle);
+  }
+
+  wallet_getCallsStatus(payload) {
+    this.calls
+      .getCallsStatus(payload.params)
+      .then((status) => this.sendResponse(payload.id, status))
+      .catch((error) => this.sendError(payload.id, error));
+  }
+
   /**
    * @private Internal js -> native message handler
    */
-  postMessage(handler, id, data) {
-    if (this.ready || handler === "requestAccounts" || handler === "addEthereumChain" || handler === "switchEthereumChain" || handler === "getPermissions" || handler === "requestPermissions" || handler === "revokePermissions") {
-      // android
-      // window["ethWeb3"].postMessage(JSON.stringify({
-        // "dapp": {
-        //   "origin": window.location.origin,
-        //   "icon": Utils.getIconLink()
-        //  },
-      //   "name": handler,
-      //   "payload": data,
-      //   "id": id
-      // }));
-      // iOS
-      window.webkit.messageHandlers["ethWeb3"].postMessage({
-       "dapp": {
-        "origin": window.location.origin,
-        "icon": Utils.getIconLink()
-       },
-        "name": handler,
-        "payload": data,
-        "id": "" + id
-      });
+  postMessage(handler, id, data, extra) {
+    if (this.ready || handler === "requestAccounts" || handler === "addEthereumChain" || handler === "switchEthereumChain" || handler === "requestPermissions" || handler === "revokePermissions") {
+      let bridge;
+      try {
+        bridge = this.getBridge();
+      } catch (error) {
+        // misconfigured, e.g. the "parent" bridge without bridgeOrigin
+        return this.bridgeUnreachable(id, ProviderRpcError.disconnected(`native bridge failed: ${error.message}`));
+      }
+      if (!bridge) {
+        return this.bridgeUnreachable(id, ProviderRpcError.disconnected("native bridge is not available"));
+      }
+      const entry = this.pending.get(id);
+      if (entry) {
+        entry.native = true;
+      }
+      try {
+        this.postBridgeMessage(bridge, handler, id, data, extra);
+      } catch (error) {
+        return this.bridgeUnreachable(id, ProviderRpcError.disconnected(`native bridge failed: ${error.message}`));
+      }
+      if (this.connectionState === ConnectionState.disconnected) {
+        this.setConnectionState(ConnectionState.connected);
+      }
     } else {
       // don't forget to verify in the app
-      this.sendError(id, new ProviderRpcError(4100, "provider is not ready"));
+      this.sendError(id, ProviderRpcError.unauthorized("provider is not ready"));
+    }
+  }
+
+  /**
+   * @private Fire and forget message to native, unlike postMessage a missing bridge doesn't disconnect us
+   */
+  postTelemetry(handler, data) {
+    try {
+      const bridge = this.getBridge();
+      if (bridge) {
+        this.postBridgeMessage(bridge, handler, Utils.genId(), data);
+      }
+    } catch (error) {
+      if (this.isDebug) {
+        console.log(`==> telemetry ${handler} failed ${error}`);
+      }
+    }
+  }
+
+  /**
+   * @private Native bridge is gone, fail the request and report the disconnect
+   */
+  bridgeUnreachable(id, error) {
+    this.setConnectionState(ConnectionState.disconnected, error);
+    this.sendError(id, error);
+  }
+
+  /**
+   * @private Envelope every js -> native message shares, extra adds fields next to the payload
+   */
+  postBridgeMessage(bridge, handler, id, data, extra) {
+    bridge.postMessage(Object.assign({
+      "dapp": this.dappOf(id),
+      "name": handler,
+      "payload": data,
+      "id": "" + id
+    }, extra));
+  }
+
+  /**
+   * @private Who is asking: origin, frameId and DappMetadata (icon, name, title, description, og),
+   * frame requests also carry the page embedding the frame
+   */
+  dappOf(id) {
+    const frame = this.frameOf(id);
+    if (frame) {
+      return Object.assign({}, frame.metadata, {
+        "origin": frame.origin,
+        "frameId": frame.id,
+        "topOrigin": window.location.origin
+      });
     }
+    return Object.assign({}, this.metadata.collect(), {
+      "origin": window.location.origin,
+      "frameId": 0
+    });
   }
 
   /**
    * @private Internal native result -> js
    */
   sendResponse(id, result) {
-    let originId = this.idMapping.tryPopId(id) || id;
-    let callback = this.callbacks.get(id);
-    let wrapResult = this.wrapResults.get(id);
-    let data = { jsonrpc: "2.0", id: originId };
-    if (result != null && typeof result === "object" && result.jsonrpc && result.result) {
-      data.result = result.result;
-    } else {
-      data.result = result;
+    let entry = this.pending.get(id);
+    if (entry && entry.onResult) {
+      // a failing transform fails the request instead of throwing into native
+      try {
+        result = entry.onResult(result);
+      } catch (error) {
+        return this.sendError(id, error);
+      }
     }
+    this.pending.remove(id);
     if (this.isDebug) {
-      console.log(
-        `<== sendResponse id: ${id}, wrapResult: ${wrapResult}, result: ${JSON.stringify(result)}, data: ${JSON.stringify(data)}`
-      );
+      console.log(`<== sendResponse id: ${id}, result: ${JSON.stringify(result)}`);
     }
-    if (callback) {
-      wrapResult ? callback(null, data) : callback(null, result);
-      this.callbacks.delete(id);
+    if (entry) {
+      entry.callback(null, result);
     } else {
+      // frame requests are pending here too, FrameHost relays them to their frame
       console.log(`callback id: ${id} not found`);
-      // check if it's iframe callback
-      for (var i = 0; i < window.frames.length; i++) {
-        const frame = window.frames[i];
-        try {
-          if (frame.ethereum.callbacks.has(id)) {
-            frame.ethereum.sendResponse(id, result);
-          }
-        } catch (error) {
-          console.log(`send response to frame error: ${error}`);
-        }
-      }
     }
   }
 
   /**
-   * @private Internal native error -> js
+   * @private Internal native error -> js, accepts an Error, a {code, message, data} object or a (JSON) string
    */
   sendError(id, error) {
     console.log(`<== ${id} sendError ${error}`);
-    let callback = this.callbacks.get(id);
-    if (callback) {
-      callback(error instanceof Error ? error : new Error(error), null);
-      this.callbacks.delete(id);
+    let entry = this.pending.remove(id);
+    if (entry) {
+      entry.callback(ProviderRpcError.from(error), null);
     }
   }
 }
 
+TrustWeb3Provider.ConnectionState = ConnectionState;
+
 window.Trust = TrustWeb3Provider;
-window.Web3 = Web3;
\ No newline at end of file
+// the lite build, index_web3.js replaces it with the web3 0.20 library
+window.Web3 = LegacyWeb3;
\ No newline at end of file
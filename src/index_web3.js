@@ -0,0 +1,14 @@
+// Copyright © 2017-2020 Trust Wallet.
+//
+// This file is part of Trust. The full Trust copyright notice, including
+// terms governing use, modification, and redistribution, is contained in the
+// file LICENSE at the root of the source code distribution tree.
+
+"use strict";
+
+// Default build, the provider with the real web3 0.20 library as window.Web3.
+// npm run build:lite bundles index.js alone, with the legacy shim instead
+import "./index";
+import Web3 from "web3";
+
+window.Web3 = Web3;
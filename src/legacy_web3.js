@@ -0,0 +1,126 @@
+// Copyright © 2017-2020 Trust Wallet.
+//
+// This file is part of Trust. The full Trust copyright notice, including
+// terms governing use, modification, and redistribution, is contained in the
+// file LICENSE at the root of the source code distribution tree.
+
+"use strict";
+
+// the legit way to use the shim, bring your own library: new Web3(web3.currentProvider)
+const UNREPORTED = ["currentProvider", "__isTrustShim__"];
+
+/**
+ * Stand-in for the web3 0.20 library old dapps expect on window.web3, see
+ * https://medium.com/metamask/no-longer-injecting-web3-js-4a899ad6e59e
+ * Keeps currentProvider, the sync account / network getters and their callback versions,
+ * everything a dapp touches is reported once to native as "legacyWeb3".
+ */
+class LegacyWeb3 {
+  constructor(provider) {
+    this.currentProvider = provider;
+    this.__isTrustShim__ = true;
+    this.reported = new Set();
+
+    const shim = this;
+    // web3 0.20 only has one once set, most dapps expect the selected account here
+    let defaultAccount;
+    const eth = {
+      get accounts() {
+        return shim.currentProvider.eth_accounts();
+      },
+      get coinbase() {
+        return shim.currentProvider.eth_accounts()[0] || null;
+      },
+      get defaultAccount() {
+        return defaultAccount !== undefined ? defaultAccount : shim.currentProvider.eth_accounts()[0];
+      },
+      set defaultAccount(address) {
+        defaultAccount = address;
+      },
+      getAccounts(callback) {
+        shim.call("eth_accounts", callback);
+      },
+      getCoinbase(callback) {
+        shim.call("eth_coinbase", callback);
+      },
+    };
+    const version = {
+      api: "0.20.7",
+      get network() {
+        return shim.currentProvider.networkVersion;
+      },
+      getNetwork(callback) {
+        shim.call("net_version", callback);
+      },
+    };
+    this.eth = eth;
+    this.version = version;
+    return LegacyWeb3.watch(this, "web3", (property, supported) => this.report(property, supported));
+  }
+
+  setProvider(provider) {
+    this.currentProvider = provider;
+  }
+
+  isConnected() {
+    return this.currentProvider.isConnected();
+  }
+
+  /**
+   * @private node style callback on top of provider.request
+   */
+  call(method, callback) {
+    this.currentProvider
+      .request({ method: method, params: [] })
+      .then((result) => callback(null, result))
+      .catch((error) => callback(error, null));
+  }
+
+  /**
+   * @private Tell native the first time a page touches a legacy property, warn in debug mode
+   */
+  report(property, supported) {
+    if (this.reported.has(property)) {
+      return;
+    }
+    const provider = this.currentProvider;
+    if (this.reported.size === 0 && provider && provider.isDebug) {
+      console.warn(
+        "window.web3 is deprecated and only a shim is injected, bring your own library: new Web3(window.ethereum)"
+      );
+    }
+    this.reported.add(property);
+    if (provider && typeof provider.postTelemetry === "function") {
+      provider.postTelemetry("legacyWeb3", { property: property, supported: supported });
+    }
+  }
+
+  /**
+   * @private Proxy reporting property reads of target and the namespaces below it
+   */
+  static watch(target, path, report) {
+    const namespaces = new Map();
+    return new Proxy(target, {
+      get(object, property, receiver) {
+        // promise resolution and inspection probe objects, that's no dapp usage
+        if (typeof property === "symbol" || property === "then" || property === "toJSON") {
+          return Reflect.get(object, property, receiver);
+        }
+        const name = `${path}.${property}`;
+        if (path !== "web3" || UNREPORTED.indexOf(property) === -1) {
+          report(name, property in object);
+        }
+        const value = Reflect.get(object, property, receiver);
+        if (path === "web3" && (property === "eth" || property === "version")) {
+          if (!namespaces.has(property)) {
+            namespaces.set(property, LegacyWeb3.watch(value, name, report));
+          }
+          return namespaces.get(property);
+        }
+        return value;
+      },
+    });
+  }
+}
+
+module.exports = LegacyWeb3;
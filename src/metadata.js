@@ -0,0 +1,220 @@
+// Copyright © 2017-2020 Trust Wallet.
+//
+// This file is part of Trust. The full Trust copyright notice, including
+// terms governing use, modification, and redistribution, is contained in the
+// file LICENSE at the root of the source code distribution tree.
+
+"use strict";
+
+// what the connection and signing sheets render, bigger icons get scaled down
+const PREFERRED_ICON_SIZE = 192;
+// apple-touch-icon without sizes is 180x180 by convention
+const APPLE_TOUCH_ICON_SIZE = 180;
+const ICON_RELS = ["icon", "apple-touch-icon", "apple-touch-icon-precomposed"];
+const OG_PROPERTIES = ["title", "site_name", "description", "image", "url", "type"];
+const TEXT_FIELDS = ["name", "title", "description"];
+// every native message carries the metadata, keep it small
+const MAX_TEXT_LENGTH = 300;
+// data: urls included, a truncated icon is a broken one
+const MAX_ICON_LENGTH = 8192;
+
+function text(value) {
+  if (typeof value !== "string") {
+    return undefined;
+  }
+  const trimmed = value.replace(/\s+/g, " ").trim();
+  return trimmed ? trimmed.slice(0, MAX_TEXT_LENGTH) : undefined;
+}
+
+function firstOf(...values) {
+  return values.find((value) => value !== undefined);
+}
+
+/**
+ * Dapp identity for the native sheets: name, title, description, og tags and the best icon,
+ * read from the document and its web app manifest. Collected once per page.
+ */
+class DappMetadata {
+  constructor(doc = document, isDebug = false) {
+    this.document = doc;
+    // the provider's isDebug, failed manifests are only logged then
+    this.isDebug = isDebug;
+    // {url, metadata} of the page it was collected for
+    this.cache = null;
+    // {url, data, promise}, fetched in the background and merged once loaded
+    this.manifest = null;
+  }
+
+  /**
+   * {icon, name, title, description, og}, fields a page doesn't have are left out
+   */
+  collect() {
+    const url = window.location.href;
+    if (this.cache && this.cache.url === url) {
+      return this.cache.metadata;
+    }
+    this.loadManifest();
+    const metadata = DappMetadata.fromDocument(this.document, this.manifest);
+    // the head is still being parsed at document start, try again next time
+    if (this.document.readyState !== "loading") {
+      this.cache = { url: url, metadata: metadata };
+    }
+    return metadata;
+  }
+
+  /**
+   * Fetch the web app manifest once per manifest url, resolves when it's loaded (or failed).
+   */
+  loadManifest() {
+    const link = this.document.querySelector("link[rel~='manifest'][href]");
+    if (!link || typeof fetch !== "function") {
+      return Promise.resolve();
+    }
+    if (this.manifest && this.manifest.url === link.href) {
+      return this.manifest.promise;
+    }
+    const manifest = { url: link.href, data: null, promise: null };
+    this.manifest = manifest;
+    manifest.promise = fetch(manifest.url, { credentials: link.crossOrigin === "use-credentials" ? "include" : "omit" })
+      .then((response) => (response.ok ? response.json() : null))
+      .then((data) => {
+        if (data && typeof data === "object") {
+          manifest.data = data;
+          this.cache = null;
+        }
+      })
+      .catch((error) => {
+        if (this.isDebug) {
+          console.log(`<== manifest failed ${error}`);
+        }
+      });
+    return manifest.promise;
+  }
+
+  static fromDocument(doc, manifest) {
+    const data = (manifest && manifest.data) || {};
+    const meta = (key) => {
+      const node = doc.querySelector(`meta[name='${key}'], meta[property='${key}']`);
+      return node ? text(node.getAttribute("content")) : undefined;
+    };
+    const og = {};
+    OG_PROPERTIES.forEach((property) => {
+      const value = meta(`og:${property}`);
+      if (value !== undefined) {
+        og[property] = value;
+      }
+    });
+    const title = text(doc.title);
+    const icons = DappMetadata.documentIcons(doc).concat(DappMetadata.manifestIcons(manifest));
+    const metadata = {
+      icon: DappMetadata.bestIcon(icons),
+      name: firstOf(text(data.name), text(data.short_name), og.site_name, meta("application-name"), title),
+      title: title,
+      description: firstOf(meta("description"), og.description, text(data.description)),
+      og: og,
+    };
+    Object.keys(metadata).forEach((key) => {
+      if (metadata[key] === undefined) {
+        delete metadata[key];
+      }
+    });
+    return metadata;
+  }
+
+  static documentIcons(doc) {
+    return Array.from(doc.querySelectorAll("link[rel][href]"))
+      .filter((node) => node.rel.toLowerCase().split(/\s+/).some((rel) => ICON_RELS.indexOf(rel) !== -1))
+      .map((node) => ({
+        href: node.href,
+        rel: node.rel.toLowerCase(),
+        sizes: node.getAttribute("sizes"),
+        type: node.getAttribute("type"),
+      }));
+  }
+
+  static manifestIcons(manifest) {
+    if (!manifest || !manifest.data || !Array.isArray(manifest.data.icons)) {
+      return [];
+    }
+    return manifest.data.icons
+      .filter((icon) => icon && typeof icon.src === "string" && icon.purpose !== "monochrome")
+      .map((icon) => {
+        try {
+          // icon urls are relative to the manifest
+          return { href: new URL(icon.src, manifest.url).href, rel: "manifest", sizes: icon.sizes, type: icon.type };
+        } catch (error) {
+          return null;
+        }
+      })
+      .filter((icon) => icon !== null);
+  }
+
+  /**
+   * Largest dimension of an icon, Infinity for scalable ones and 0 when it can't be told
+   */
+  static iconSize(icon) {
+    const sizes = typeof icon.sizes === "string" ? icon.sizes.toLowerCase().split(/\s+/) : [];
+    if (sizes.indexOf("any") !== -1 || /svg/i.test(icon.type || "") || /\.svg([?#]|$)/i.test(icon.href)) {
+      return Infinity;
+    }
+    const dimensions = sizes
+      .map((size) => /^(\d+)x(\d+)$/.exec(size))
+      .filter((match) => match !== null)
+      .map((match) => Math.max(Number(match[1]), Number(match[2])));
+    if (dimensions.length > 0) {
+      return Math.max(...dimensions);
+    }
+    return icon.rel.indexOf("apple-touch-icon") !== -1 ? APPLE_TOUCH_ICON_SIZE : 0;
+  }
+
+  /**
+   * Scalable icons first, then the smallest one covering PREFERRED_ICON_SIZE, then the largest, /favicon.ico as a last resort
+   */
+  static bestIcon(icons) {
+    const rank = (size) => {
+      if (size === Infinity) {
+        return Number.MAX_SAFE_INTEGER;
+      }
+      return size >= PREFERRED_ICON_SIZE ? Number.MAX_SAFE_INTEGER - size : size;
+    };
+    let best = null;
+    icons.forEach((icon) => {
+      const value = rank(DappMetadata.iconSize(icon));
+      if (!best || value > best.rank) {
+        best = { href: icon.href, rank: value };
+      }
+    });
+    return best ? best.href : `${window.location.origin}/favicon.ico`;
+  }
+
+  /**
+   * Keep what a child frame claims about itself to known fields of the right type
+   */
+  static sanitize(metadata) {
+    const result = {};
+    if (!metadata || typeof metadata !== "object") {
+      return result;
+    }
+    if (typeof metadata.icon === "string" && metadata.icon.length <= MAX_ICON_LENGTH) {
+      result.icon = metadata.icon;
+    }
+    TEXT_FIELDS.forEach((field) => {
+      const value = text(metadata[field]);
+      if (value !== undefined) {
+        result[field] = value;
+      }
+    });
+    if (metadata.og && typeof metadata.og === "object") {
+      result.og = {};
+      OG_PROPERTIES.forEach((property) => {
+        const value = text(metadata.og[property]);
+        if (value !== undefined) {
+          result.og[property] = value;
+        }
+      });
+    }
+    return result;
+  }
+}
+
+module.exports = DappMetadata;
@@ -0,0 +1,131 @@
+// Copyright © 2017-2020 Trust Wallet.
+//
+// This file is part of Trust. The full Trust copyright notice, including
+// terms governing use, modification, and redistribution, is contained in the
+// file LICENSE at the root of the source code distribution tree.
+
+"use strict";
+
+/**
+ * Built-in middlewares of the provider's RequestEngine, in stack order:
+ * logger, id mapping, host middlewares from config, frames, wallet methods, proxy rpc, upstream rpc.
+ * req is a copy of the dapp's payload, req.origin, req.frame and req.signal are set but not enumerable.
+ */
+
+/**
+ * @private Run a handler answering through provider.sendResponse / sendError, right away or once native did,
+ * the request is pending (timeouts, abort, cancelRequest) until then. A throwing handler ends it with its error
+ */
+function settle(provider, req, res, end, handler) {
+  provider.awaitResponse(req, (error, result) => {
+    if (error) {
+      return end(error);
+    }
+    res.result = result;
+    end();
+  });
+  try {
+    handler();
+  } catch (error) {
+    provider.pending.remove(req.id);
+    end(error);
+  }
+}
+
+/**
+ * Log requests and responses while config.isDebug is set
+ */
+function createLoggerMiddleware(provider) {
+  return (req, res, next) => {
+    if (!provider.isDebug) {
+      return next();
+    }
+    console.log(`==> rpc request ${JSON.stringify(req)}`);
+    next((done) => {
+      console.log(`<== rpc response ${JSON.stringify(res)}`);
+      done();
+    });
+  };
+}
+
+/**
+ * Unique numeric ids for native and the pending registry, see IdMapping, the dapp gets its own id back
+ */
+function createIdMappingMiddleware(idMapping) {
+  return (req, res, next) => {
+    idMapping.tryIntifyId(req);
+    next((done) => {
+      res.id = idMapping.tryPopId(req.id);
+      done();
+    });
+  };
+}
+
+/**
+ * In a child frame wallet methods go to the top frame's provider, see FrameClient
+ */
+function createFrameMiddleware(provider) {
+  return (req, res, next, end) => {
+    const client = provider.frameClient;
+    if (!client || !client.handles(req.method)) {
+      return next();
+    }
+    settle(provider, req, res, end, () => client.forward(req));
+  };
+}
+
+/**
+ * Wallet methods, methods maps a method to its handler (provider, payload)
+ */
+function createWalletMiddleware(provider, methods) {
+  return (req, res, next, end) => {
+    if (!Object.prototype.hasOwnProperty.call(methods, req.method)) {
+      return next();
+    }
+    settle(provider, req, res, end, () => methods[req.method](provider, req));
+  };
+}
+
+/**
+ * With config.isProxyRPC native makes the rpc calls
+ */
+function createProxyMiddleware(provider) {
+  return (req, res, next, end) => {
+    if (!provider.isProxyRPC) {
+      return next();
+    }
+    settle(provider, req, res, end, () => provider.wallet_rpcCall(req));
+  };
+}
+
+/**
+ * Everything left goes to RPCServer, ends the stack. Only the method's timeout and
+ * the abort signal apply, see provider.guardUpstream
+ */
+function createUpstreamMiddleware(provider) {
+  return (req, res, next, end) => {
+    const call = provider.rpc.call(req).then(
+      (response) => {
+        provider.updateRpcReachability(null);
+        return response;
+      },
+      (error) => {
+        provider.updateRpcReachability(error);
+        throw error;
+      }
+    );
+    return provider.guardUpstream(call, req.method, req.signal).then((response) => {
+      res.result = response.result;
+      end();
+    }, end);
+  };
+}
+
+module.exports = {
+  createLoggerMiddleware,
+  createIdMappingMiddleware,
+  createFrameMiddleware,
+  createWalletMiddleware,
+  createProxyMiddleware,
+  createUpstreamMiddleware,
+};
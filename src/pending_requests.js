@@ -0,0 +1,129 @@
+// Copyright © 2017-2020 Trust Wallet.
+//
+// This file is part of Trust. The full Trust copyright notice, including
+// terms governing use, modification, and redistribution, is contained in the
+// file LICENSE at the root of the source code distribution tree.
+
+"use strict";
+
+import ProviderRpcError from "./error";
+
+// requests bound to the active account / chain, native shows a sheet for them
+const SIGNING_METHODS = [
+  "eth_sign",
+  "personal_sign",
+  "eth_signTypedData",
+  "eth_signTypedData_v3",
+  "eth_signTypedData_v4",
+  "eth_sendTransaction",
+  "wallet_sendCalls",
+];
+
+// user facing requests can stay on screen for a while, 0 disables the timeout
+const DEFAULT_TIMEOUTS = {
+  default: 30 * 1000,
+  eth_requestAccounts: 0,
+  wallet_requestPermissions: 0,
+  wallet_addEthereumChain: 0,
+  wallet_switchEthereumChain: 0,
+  wallet_watchAsset: 0,
+  eth_sign: 10 * 60 * 1000,
+  personal_sign: 10 * 60 * 1000,
+  eth_signTypedData: 10 * 60 * 1000,
+  eth_signTypedData_v3: 10 * 60 * 1000,
+  eth_signTypedData_v4: 10 * 60 * 1000,
+  eth_sendTransaction: 10 * 60 * 1000,
+  wallet_sendCalls: 10 * 60 * 1000,
+};
+
+/**
+ * Book keeping of requests waiting for a response from native, or a handler answering like it.
+ */
+class PendingRequests {
+  constructor(timeouts = {}) {
+    this.requests = new Map();
+    this.setTimeouts(timeouts);
+  }
+
+  static get signingMethods() {
+    return SIGNING_METHODS;
+  }
+
+  setTimeouts(timeouts) {
+    this.timeouts = Object.assign({}, DEFAULT_TIMEOUTS, timeouts);
+  }
+
+  timeoutFor(method) {
+    const timeout = this.timeouts[method];
+    return timeout === undefined ? this.timeouts.default : timeout;
+  }
+
+  /**
+   * Track a request, onExpire is called with the entry when it times out or its signal aborts.
+   */
+  add(payload, callback, signal, onExpire) {
+    const entry = {
+      id: payload.id,
+      method: payload.method,
+      callback: callback,
+      createdAt: Date.now(),
+      native: false,
+      timer: null,
+      signal: signal,
+      onAbort: null,
+      // transforms the native result before it reaches the dapp
+      onResult: null,
+      // child frame that relayed the request through FrameHost, null for the page itself
+      frame: null,
+    };
+    const timeout = this.timeoutFor(payload.method);
+    if (timeout > 0) {
+      entry.timer = setTimeout(() => {
+        onExpire(entry, ProviderRpcError.internal(`Request ${payload.method} timed out after ${timeout}ms`));
+      }, timeout);
+    }
+    if (signal) {
+      entry.onAbort = () => onExpire(entry, ProviderRpcError.internal(`Request ${payload.method} was aborted`));
+      signal.addEventListener("abort", entry.onAbort);
+    }
+    this.requests.set(payload.id, entry);
+    return entry;
+  }
+
+  has(id) {
+    return this.requests.has(id);
+  }
+
+  get(id) {
+    return this.requests.get(id);
+  }
+
+  /**
+   * Remove a request and release its timer / abort listener, returns the entry if it was pending.
+   */
+  remove(id) {
+    const entry = this.requests.get(id);
+    if (!entry) {
+      return undefined;
+    }
+    if (entry.timer) {
+      clearTimeout(entry.timer);
+    }
+    if (entry.signal && entry.onAbort) {
+      entry.signal.removeEventListener("abort", entry.onAbort);
+    }
+    this.requests.delete(id);
+    return entry;
+  }
+
+  list() {
+    return Array.from(this.requests.values()).map((entry) => ({
+      id: entry.id,
+      method: entry.method,
+      createdAt: entry.createdAt,
+      native: entry.native,
+    }));
+  }
+}
+
+module.exports = PendingRequests;
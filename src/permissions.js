@@ -0,0 +1,105 @@
+// Copyright © 2017-2020 Trust Wallet.
+//
+// This file is part of Trust. The full Trust copyright notice, including
+// terms governing use, modification, and redistribution, is contained in the
+// file LICENSE at the root of the source code distribution tree.
+
+"use strict";
+
+const ETH_ACCOUNTS = "eth_accounts";
+const RESTRICT_RETURNED_ACCOUNTS = "restrictReturnedAccounts";
+
+/**
+ * EIP-2255 permissions granted to each origin, see https://eips.ethereum.org/EIPS/eip-2255
+ */
+class PermissionStore {
+  constructor() {
+    this.permissions = new Map();
+  }
+
+  static get ethAccounts() {
+    return ETH_ACCOUNTS;
+  }
+
+  static get restrictReturnedAccounts() {
+    return RESTRICT_RETURNED_ACCOUNTS;
+  }
+
+  get(origin) {
+    const permissions = this.permissions.get(origin);
+    return permissions ? Array.from(permissions.values()) : [];
+  }
+
+  getPermission(origin, capability) {
+    const permissions = this.permissions.get(origin);
+    return permissions ? permissions.get(capability) : undefined;
+  }
+
+  has(origin, capability) {
+    return !!this.getPermission(origin, capability);
+  }
+
+  grant(origin, capability, caveats = []) {
+    if (!this.permissions.has(origin)) {
+      this.permissions.set(origin, new Map());
+    }
+    const permission = {
+      invoker: origin,
+      parentCapability: capability,
+      caveats: caveats,
+      date: Date.now(),
+    };
+    this.permissions.get(origin).set(capability, permission);
+    return permission;
+  }
+
+  revoke(origin, capabilities) {
+    const permissions = this.permissions.get(origin);
+    if (!permissions) {
+      return;
+    }
+    capabilities.forEach((capability) => permissions.delete(capability));
+    if (permissions.size === 0) {
+      this.permissions.delete(origin);
+    }
+  }
+
+  /**
+   * Replace the permissions of an origin, e.g. when native syncs its own store.
+   */
+  set(origin, permissions) {
+    this.permissions.delete(origin);
+    (permissions || []).forEach((permission) => {
+      this.grant(origin, permission.parentCapability, permission.caveats || []);
+      if (permission.date) {
+        this.getPermission(origin, permission.parentCapability).date = permission.date;
+      }
+    });
+  }
+
+  /**
+   * Accounts an origin is restricted to, null when it isn't restricted.
+   */
+  restrictedAccounts(origin) {
+    const permission = this.getPermission(origin, ETH_ACCOUNTS);
+    const caveat = permission && permission.caveats.find((item) => item.type === RESTRICT_RETURNED_ACCOUNTS);
+    return caveat ? caveat.value.map((address) => address.toLowerCase()) : null;
+  }
+
+  /**
+   * Capabilities from wallet_requestPermissions params, e.g. [{eth_accounts: {}}]
+   */
+  static requestedCapabilities(params) {
+    const request = (params && params[0]) || {};
+    return Object.keys(request);
+  }
+
+  /**
+   * Capabilities from wallet_revokePermissions params, same shape as requestPermissions
+   */
+  static revokedCapabilities(params) {
+    return PermissionStore.requestedCapabilities(params);
+  }
+}
+
+module.exports = PermissionStore;
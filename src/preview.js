@@ -0,0 +1,289 @@
+// Copyright © 2017-2020 Trust Wallet.
+//
+// This file is part of Trust. The full Trust copyright notice, including
+// terms governing use, modification, and redistribution, is contained in the
+// file LICENSE at the root of the source code distribution tree.
+
+"use strict";
+
+import { Buffer } from "buffer";
+import { rawDecode } from "ethereumjs-abi";
+import { BN } from "ethereumjs-util";
+import Utils from "./utils";
+
+// https://github.com/Uniswap/permit2, same address on every chain
+const PERMIT2_ADDRESS = "0x000000000022d473030f116ddee9f6b43ac78ba3";
+
+// approve / transferFrom share selectors between ERC-20 and ERC-721
+const CALLS = {
+  "0xa9059cbb": {
+    method: "transfer",
+    standards: ["erc20"],
+    params: [["to", "address"], ["amount", "uint256"]],
+  },
+  "0x095ea7b3": {
+    method: "approve",
+    standards: ["erc20", "erc721"],
+    params: [["spender", "address"], ["amount", "uint256"]],
+  },
+  "0x39509351": {
+    method: "increaseAllowance",
+    standards: ["erc20"],
+    params: [["spender", "address"], ["amount", "uint256"]],
+  },
+  "0x23b872dd": {
+    method: "transferFrom",
+    standards: ["erc20", "erc721"],
+    params: [["from", "address"], ["to", "address"], ["amount", "uint256"]],
+  },
+  "0x42842e0e": {
+    method: "safeTransferFrom",
+    standards: ["erc721"],
+    params: [["from", "address"], ["to", "address"], ["tokenId", "uint256"]],
+  },
+  "0xb88d4fde": {
+    method: "safeTransferFrom",
+    standards: ["erc721"],
+    params: [["from", "address"], ["to", "address"], ["tokenId", "uint256"], ["data", "bytes"]],
+  },
+  "0xf242432a": {
+    method: "safeTransferFrom",
+    standards: ["erc1155"],
+    params: [["from", "address"], ["to", "address"], ["id", "uint256"], ["amount", "uint256"], ["data", "bytes"]],
+  },
+  "0x2eb2c2d6": {
+    method: "safeBatchTransferFrom",
+    standards: ["erc1155"],
+    params: [["from", "address"], ["to", "address"], ["ids", "uint256[]"], ["amounts", "uint256[]"], ["data", "bytes"]],
+  },
+  "0xa22cb465": {
+    method: "setApprovalForAll",
+    standards: ["erc721", "erc1155"],
+    params: [["operator", "address"], ["approved", "bool"]],
+  },
+  "0x87517c45": {
+    method: "approve",
+    standards: ["permit2"],
+    params: [["token", "address"], ["spender", "address"], ["amount", "uint160"], ["expiration", "uint48"]],
+  },
+  // permit(owner, ((token, amount, expiration, nonce), spender, sigDeadline), signature), the struct is static so it's inlined
+  "0x2b67b570": {
+    method: "permit",
+    standards: ["permit2"],
+    params: [
+      ["owner", "address"],
+      ["token", "address"],
+      ["amount", "uint160"],
+      ["expiration", "uint48"],
+      ["nonce", "uint48"],
+      ["spender", "address"],
+      ["sigDeadline", "uint256"],
+      ["signature", "bytes"],
+    ],
+  },
+};
+
+const ERROR_SELECTOR = "0x08c379a0";
+const PANIC_SELECTOR = "0x4e487b71";
+
+const Risk = {
+  unlimitedApproval: "unlimited_approval",
+  approvalForAll: "approval_for_all",
+  callToEOA: "call_to_eoa",
+  transferToTokenContract: "transfer_to_token_contract",
+  simulationReverted: "simulation_reverted",
+};
+
+/**
+ * Decoded call, eth_call simulation and risk flags of a transaction, shown by native next to the raw transaction.
+ */
+class TransactionPreview {
+  constructor(rpc) {
+    this.rpc = rpc;
+  }
+
+  static get Risk() {
+    return Risk;
+  }
+
+  /**
+   * Resolves with {kind, call, isContract, simulation, risks}, never rejects on rpc failures.
+   */
+  preview(tx) {
+    const call = TransactionPreview.decode(tx);
+    const hasData = !!tx.data && tx.data !== "0x";
+    const kind = !tx.to ? "deploy" : hasData ? "contract_call" : "transfer";
+
+    return Promise.all([this.simulate(tx), hasData && tx.to ? this.isContract(tx.to) : Promise.resolve(null)]).then(
+      ([simulation, isContract]) => {
+        const preview = {
+          kind: kind,
+          call: call,
+          isContract: isContract,
+          simulation: simulation,
+          risks: [],
+        };
+        preview.risks = TransactionPreview.risks(tx, preview);
+        return preview;
+      }
+    );
+  }
+
+  simulate(tx) {
+    const call = {};
+    ["from", "to", "value", "data", "gas"].forEach((key) => {
+      if (tx[key] !== undefined) {
+        call[key] = tx[key];
+      }
+    });
+    return this.rpc
+      .ethCall(call, "latest")
+      .then((returnData) => ({ success: true, returnData: returnData }))
+      .catch((error) => {
+        // only an execution error says something about the transaction, the rest is the node
+        const reverted = error.code === 3 || /revert/i.test(error.message || "");
+        return {
+          success: reverted ? false : null,
+          error: { code: error.code, message: error.message, data: error.data },
+          reason: reverted ? TransactionPreview.decodeRevert(error.data) : null,
+        };
+      });
+  }
+
+  isContract(address) {
+    return this.rpc
+      .getCode(address, "latest")
+      .then((code) => !!code && code !== "0x")
+      .catch(() => null);
+  }
+
+  /**
+   * Decode calldata of the known token calls, null when the selector isn't known or the data is malformed.
+   */
+  static decode(tx) {
+    const data = (tx.data || "").toLowerCase();
+    const definition = CALLS[data.slice(0, 10)];
+    if (!definition) {
+      return null;
+    }
+    if (definition.standards[0] === "permit2" && (tx.to || "").toLowerCase() !== PERMIT2_ADDRESS) {
+      // same selector on some other contract, don't trust the decoding
+      return null;
+    }
+    let values;
+    try {
+      values = rawDecode(
+        definition.params.map((param) => param[1]),
+        Buffer.from(data.slice(10), "hex")
+      );
+    } catch (error) {
+      return null;
+    }
+    const params = definition.params.map(([name, type], index) => ({
+      name: name,
+      type: type,
+      value: TransactionPreview.formatValue(type, values[index]),
+    }));
+    return {
+      method: definition.method,
+      selector: data.slice(0, 10),
+      standards: definition.standards,
+      contract: tx.to,
+      params: params,
+      args: params.reduce((args, param) => Object.assign(args, { [param.name]: param.value }), {}),
+    };
+  }
+
+  static formatValue(type, value) {
+    if (type === "address") {
+      return "0x" + value.toString();
+    }
+    if (/^uint\d*\[\]$/.test(type)) {
+      return value.map((item) => item.toString(10));
+    }
+    if (/^uint\d*$/.test(type)) {
+      return value.toString(10);
+    }
+    if (type === "bytes") {
+      return Utils.bufferToHex(value);
+    }
+    return value;
+  }
+
+  /**
+   * Error(string) and Panic(uint256) revert data to a readable reason.
+   */
+  static decodeRevert(data) {
+    if (typeof data !== "string") {
+      return null;
+    }
+    try {
+      if (data.indexOf(ERROR_SELECTOR) === 0) {
+        return rawDecode(["string"], Buffer.from(data.slice(10), "hex"))[0];
+      }
+      if (data.indexOf(PANIC_SELECTOR) === 0) {
+        return "panic 0x" + rawDecode(["uint256"], Buffer.from(data.slice(10), "hex"))[0].toString(16);
+      }
+    } catch (error) {
+      return null;
+    }
+    return null;
+  }
+
+  static risks(tx, preview) {
+    const risks = [];
+    const call = preview.call;
+    const args = call ? call.args : {};
+    const to = (tx.to || "").toLowerCase();
+
+    if (call && ["approve", "increaseAllowance", "permit"].indexOf(call.method) !== -1) {
+      const param = call.params.find((item) => item.name === "amount");
+      if (TransactionPreview.isUnlimited(param.value, param.type)) {
+        risks.push({
+          type: Risk.unlimitedApproval,
+          level: "warning",
+          message: `${args.spender} can spend an unlimited amount of ${args.token || tx.to}`,
+        });
+      }
+    }
+    if (call && call.method === "setApprovalForAll" && args.approved) {
+      risks.push({
+        type: Risk.approvalForAll,
+        level: "danger",
+        message: `${args.operator} can transfer every token of ${tx.to}`,
+      });
+    }
+    if (call && args.to && args.to.toLowerCase() === to) {
+      risks.push({
+        type: Risk.transferToTokenContract,
+        level: "danger",
+        message: "tokens sent to the token contract itself are usually lost",
+      });
+    }
+    if (preview.isContract === false) {
+      risks.push({
+        type: Risk.callToEOA,
+        level: "warning",
+        message: `${tx.to} is not a contract, the call data will have no effect`,
+      });
+    }
+    if (preview.simulation && preview.simulation.success === false) {
+      risks.push({
+        type: Risk.simulationReverted,
+        level: "danger",
+        message: `transaction will likely fail: ${preview.simulation.reason || preview.simulation.error.message}`,
+      });
+    }
+    return risks;
+  }
+
+  /**
+   * Anything in the upper half of the type's range, covers max uint and the 2^255 style "infinite" amounts.
+   */
+  static isUnlimited(amount, type) {
+    const bits = Number.parseInt(type.replace("uint", ""), 10) || 256;
+    return new BN(amount, 10).gte(new BN(1).shln(bits - 1));
+  }
+}
+
+module.exports = TransactionPreview;
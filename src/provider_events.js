@@ -0,0 +1,81 @@
+// Copyright © 2017-2020 Trust Wallet.
+//
+// This file is part of Trust. The full Trust copyright notice, including
+// terms governing use, modification, and redistribution, is contained in the
+// file LICENSE at the root of the source code distribution tree.
+
+"use strict";
+
+import ProviderRpcError from "./error";
+
+const Mode = {
+  // EIP-1193 events only: connect, disconnect, chainChanged, accountsChanged and message
+  strict: "strict",
+  // plus what dapps written against MetaMask's old provider still listen to
+  legacy: "legacy",
+};
+
+/**
+ * EIP-1193 events of the provider with their payloads, see https://eips.ethereum.org/EIPS/eip-1193#events
+ * In legacy mode the deprecated MetaMask events are emitted next to them:
+ * networkChanged (decimal net version), chainIdChanged, close, and notification / data for subscriptions.
+ * Listeners stay on the provider, switching modes doesn't touch them.
+ */
+class ProviderEvents {
+  constructor(emitter, mode = Mode.legacy) {
+    this.emitter = emitter;
+    this.setMode(mode);
+  }
+
+  static get Mode() {
+    return Mode;
+  }
+
+  setMode(mode) {
+    this.mode = Mode[mode] ? mode : Mode.legacy;
+  }
+
+  get legacy() {
+    return this.mode === Mode.legacy;
+  }
+
+  connect(chainId) {
+    this.emitter.emit("connect", { chainId: chainId });
+  }
+
+  disconnect(error) {
+    const reason = error || ProviderRpcError.disconnected();
+    this.emitter.emit("disconnect", reason);
+    if (this.legacy) {
+      this.emitter.emit("close", reason);
+    }
+  }
+
+  chainChanged(chainId, networkVersion) {
+    this.emitter.emit("chainChanged", chainId);
+    if (this.legacy) {
+      this.emitter.emit("chainIdChanged", chainId);
+      this.emitter.emit("networkChanged", networkVersion);
+    }
+  }
+
+  /**
+   * Callers only report real changes, an empty list means the page lost access to its accounts
+   */
+  accountsChanged(accounts) {
+    this.emitter.emit("accountsChanged", accounts.slice());
+  }
+
+  /**
+   * EIP-1193 message, e.g. type "eth_subscription" with data {subscription, result}
+   */
+  message(type, data) {
+    this.emitter.emit("message", { type: type, data: data });
+    if (this.legacy && type === "eth_subscription") {
+      this.emitter.emit("notification", data.result);
+      this.emitter.emit("data", null, { jsonrpc: "2.0", method: type, params: data });
+    }
+  }
+}
+
+module.exports = ProviderEvents;
@@ -6,9 +6,49 @@
 
 "use strict";
 
+import ProviderRpcError from "./error";
+import Endpoint from "./endpoint";
+import Utils from "./utils";
+
+// most public nodes reject larger batches
+const MAX_BATCH_SIZE = 100;
+
+const DEFAULT_OPTIONS = {
+  maxRetries: 2,
+  backoff: 250,
+  maxBackoff: 4000,
+  // per attempt, a hanging endpoint counts as unavailable, 0 waits forever
+  timeout: 10000,
+  // rate limited / node unavailable, another endpoint might do better
+  retryCodes: [
+    ProviderRpcError.codes.rpc.limitExceeded,
+    ProviderRpcError.codes.rpc.resourceUnavailable,
+  ],
+};
+
 class RPCServer {
-  constructor(rpcUrl) {
-    this.rpcUrl = rpcUrl;
+  /**
+   * rpcUrl is a single url or a list of urls in order of preference.
+   */
+  constructor(rpcUrl, options = {}) {
+    const urls = Array.isArray(rpcUrl) ? rpcUrl : [rpcUrl];
+    this.endpoints = urls.map((url, index) => new Endpoint(url, index));
+    this.options = Object.assign({}, DEFAULT_OPTIONS, options);
+    this.maxBatchSize = MAX_BATCH_SIZE;
+    // the provider's isDebug, retries are only logged then
+    this.isDebug = false;
+  }
+
+  get rpcUrl() {
+    return Endpoint.rank(this.endpoints)[0].url;
+  }
+
+  get rpcUrls() {
+    return this.endpoints.map(endpoint => endpoint.url);
+  }
+
+  getEndpointStats() {
+    return this.endpoints.map(endpoint => endpoint.stats());
   }
 
   getBlockNumber() {
@@ -22,27 +62,176 @@ class RPCServer {
   }
 
   getFilterLogs(filter) {
-    return this.call({jsonrpc: "2.0", method: "eth_getLogs", params: [filter]});
+    return this.call({jsonrpc: "2.0", method: "eth_getLogs", params: [filter]})
+    .then(json => json.result);
+  }
+
+  getTransactionCount(address, blockTag = "pending") {
+    return this.call({jsonrpc: "2.0", method: "eth_getTransactionCount", params: [address, blockTag]})
+    .then(json => json.result);
+  }
+
+  estimateGas(transaction) {
+    return this.call({jsonrpc: "2.0", method: "eth_estimateGas", params: [transaction]})
+    .then(json => json.result);
+  }
+
+  getGasPrice() {
+    return this.call({jsonrpc: "2.0", method: "eth_gasPrice", params: []})
+    .then(json => json.result);
+  }
+
+  getFeeHistory(blockCount, newestBlock, rewardPercentiles) {
+    return this.call({jsonrpc: "2.0", method: "eth_feeHistory", params: [blockCount, newestBlock, rewardPercentiles]})
+    .then(json => json.result);
+  }
+
+  getTransactionReceipt(hash) {
+    return this.call({jsonrpc: "2.0", method: "eth_getTransactionReceipt", params: [hash]})
+    .then(json => json.result);
+  }
+
+  getCode(address, blockTag = "latest") {
+    return this.call({jsonrpc: "2.0", method: "eth_getCode", params: [address, blockTag]})
+    .then(json => json.result);
+  }
+
+  ethCall(transaction, blockTag = "latest") {
+    return this.call({jsonrpc: "2.0", method: "eth_call", params: [transaction, blockTag]})
+    .then(json => json.result);
   }
 
   call(payload) {
-    return fetch(this.rpcUrl, {
+    if (Array.isArray(payload)) {
+      return this.callBatch(payload);
+    }
+    return this.post(payload)
+    .then(json => {
+      if (json.error) {
+        console.log("<== rpc error", json.error);
+        // keep code and data, revert reasons live there
+        throw ProviderRpcError.from(json.error);
+      }
+      return json;
+    });
+  }
+
+  /**
+   * Send payloads as JSON-RPC 2.0 batches, resolves with one response per payload in the same order,
+   * failed items carry an error object instead of rejecting the whole batch.
+   */
+  callBatch(payloads) {
+    const chunks = [];
+    for (let i = 0; i < payloads.length; i += this.maxBatchSize) {
+      chunks.push(payloads.slice(i, i + this.maxBatchSize));
+    }
+    return Promise.all(chunks.map(chunk => {
+      return this.post(chunk)
+      .then(json => RPCServer.mapBatchResponse(chunk, json))
+      .catch(error => chunk.map(payload => RPCServer.errorResponse(payload.id, error)));
+    }))
+    .then(responses => [].concat(...responses));
+  }
+
+  post(payload) {
+    return this.postWithRetry(payload, 0, []);
+  }
+
+  postWithRetry(payload, attempt, tried) {
+    const endpoint = this.pickEndpoint(tried);
+    const start = Date.now();
+    return this.fetchJSON(endpoint.url, payload)
+    .then(json => {
+      const error = !Array.isArray(json) && json && json.error;
+      if (error && this.isRetriable(error)) {
+        throw ProviderRpcError.from(error);
+      }
+      endpoint.recordSuccess(Date.now() - start);
+      return json;
+    })
+    .catch(error => {
+      if (!this.isRetriable(error)) {
+        throw error;
+      }
+      endpoint.recordFailure();
+      if (attempt >= this.options.maxRetries) {
+        throw error;
+      }
+      if (this.isDebug) {
+        console.log(`<== rpc ${endpoint.url} failed: ${error}, retrying`);
+      }
+      const backoff = Math.min(this.options.maxBackoff, this.options.backoff * Math.pow(2, attempt));
+      return Utils.delay(backoff)
+      .then(() => this.postWithRetry(payload, attempt + 1, tried.concat(endpoint)));
+    });
+  }
+
+  fetchJSON(url, payload) {
+    const timeout = this.options.timeout;
+    const controller = timeout > 0 ? new AbortController() : null;
+    const timer = controller ? setTimeout(() => controller.abort(), timeout) : null;
+    return fetch(url, {
       method: "POST",
       headers: {
         "Accept": "application/json",
         "Content-Type": "application/json"
       },
-      body: JSON.stringify(payload)
+      body: JSON.stringify(payload),
+      signal: controller ? controller.signal : undefined
     })
-    .then(response => response.json())
-    .then(json => {
-      if (!json.result && json.error) {
-        console.log("<== rpc error", json.error);
-        throw new Error(json.error.message || "rpc error");
+    .then(response => {
+      if (response.status === 429) {
+        throw ProviderRpcError.limitExceeded(`${url} rate limited the request`);
+      }
+      if (response.status >= 500) {
+        throw ProviderRpcError.resourceUnavailable(`${url} responded with ${response.status}`);
       }
+      return response.json().catch(() => {
+        throw ProviderRpcError.resourceUnavailable(`${url} returned invalid json`);
+      });
+    }, error => {
+      if (controller && controller.signal.aborted) {
+        throw ProviderRpcError.resourceUnavailable(`${url} timed out after ${timeout}ms`);
+      }
+      // network failure, CORS, DNS...
+      throw ProviderRpcError.resourceUnavailable(`${url} is unreachable: ${error.message}`);
+    })
+    .then(json => {
+      clearTimeout(timer);
       return json;
+    }, error => {
+      clearTimeout(timer);
+      throw error;
+    });
+  }
+
+  /**
+   * Best endpoint not tried yet for this request, the best one overall once all were tried.
+   */
+  pickEndpoint(tried) {
+    const ranked = Endpoint.rank(this.endpoints);
+    return ranked.find(endpoint => tried.indexOf(endpoint) === -1) || ranked[0];
+  }
+
+  isRetriable(error) {
+    return !!error && this.options.retryCodes.indexOf(error.code) !== -1;
+  }
+
+  static mapBatchResponse(payloads, json) {
+    // some nodes answer a batch with a single error object
+    if (!Array.isArray(json)) {
+      const error = (json && json.error) || ProviderRpcError.internal("invalid batch response");
+      return payloads.map(payload => RPCServer.errorResponse(payload.id, error));
+    }
+    const responses = new Map(json.map(response => [response.id, response]));
+    return payloads.map(payload => {
+      return responses.get(payload.id) || RPCServer.errorResponse(payload.id, ProviderRpcError.internal("missing batch response"));
     });
   }
+
+  static errorResponse(id, error) {
+    return { jsonrpc: "2.0", id: id, error: ProviderRpcError.from(error).toJSON() };
+  }
 }
 
 module.exports = RPCServer;
@@ -0,0 +1,146 @@
+// Copyright © 2017-2020 Trust Wallet.
+//
+// This file is part of Trust. The full Trust copyright notice, including
+// terms governing use, modification, and redistribution, is contained in the
+// file LICENSE at the root of the source code distribution tree.
+
+"use strict";
+
+import { Buffer } from "buffer";
+import { rlp } from "ethereumjs-util";
+import Utils from "./utils";
+
+const Action = {
+  allow: "allow",
+  warn: "warn",
+  block: "block",
+};
+
+// what eth_sign data can turn out to be, text goes through personal_sign semantics
+const Kind = {
+  hash: "hash",
+  transaction: "transaction",
+  binary: "binary",
+};
+
+// a signed hash or transaction can move funds, so they are the ones blocked by default
+const DEFAULT_POLICY = {
+  [Kind.hash]: Action.warn,
+  [Kind.transaction]: Action.block,
+  [Kind.binary]: Action.warn,
+};
+
+// rlp list sizes of unsigned / signed transactions per EIP-2718 type, 0 is legacy
+const TRANSACTION_FIELDS = {
+  0: [6, 9],
+  1: [8, 11],
+  2: [9, 12],
+  3: [11, 14],
+  4: [10, 13],
+};
+
+/**
+ * Policy for eth_sign on non text data, blind signatures of hashes and transactions are the classic drainer vector.
+ * config: {hash, transaction, binary: "allow" | "warn" | "block", origins: {[origin]: action | {kind: action}}}
+ */
+class SignPolicy {
+  constructor(config = {}) {
+    this.setConfig(config);
+  }
+
+  static get Action() {
+    return Action;
+  }
+
+  static get Kind() {
+    return Kind;
+  }
+
+  setConfig(config = {}) {
+    this.defaults = Object.assign({}, DEFAULT_POLICY);
+    Object.keys(Kind).forEach((kind) => {
+      if (Action[config[kind]]) {
+        this.defaults[kind] = config[kind];
+      }
+    });
+    this.origins = Object.assign({}, config.origins);
+  }
+
+  actionFor(origin, kind) {
+    const rule = this.origins[origin];
+    if (typeof rule === "string" && Action[rule]) {
+      return rule;
+    }
+    if (rule && typeof rule === "object" && Action[rule[kind]]) {
+      return rule[kind];
+    }
+    return this.defaults[kind];
+  }
+
+  /**
+   * Classify bytes eth_sign is asked to sign and decide what to do, returns {type, level, action, message, transaction?}
+   */
+  evaluate(origin, buffer) {
+    const risk = SignPolicy.classify(buffer);
+    risk.action = this.actionFor(origin, risk.type);
+    return risk;
+  }
+
+  static classify(buffer) {
+    const transaction = SignPolicy.decodeTransaction(buffer);
+    if (transaction) {
+      return {
+        type: Kind.transaction,
+        level: "danger",
+        message: "this is an encoded transaction, signing it lets the site submit it on your behalf",
+        transaction: transaction,
+      };
+    }
+    if (buffer.length === 32) {
+      return {
+        type: Kind.hash,
+        level: "danger",
+        message: "signing a raw hash is a blind signature, it may authorize a transaction or a token approval",
+      };
+    }
+    return {
+      type: Kind.binary,
+      level: "warning",
+      message: "the data isn't readable text, only sign it if you trust the site",
+    };
+  }
+
+  /**
+   * Legacy or EIP-2718 typed transaction rlp, returns {type, to, value, data} or null
+   */
+  static decodeTransaction(buffer) {
+    if (buffer.length === 0) {
+      return null;
+    }
+    const typed = buffer[0] <= 0x7f;
+    const type = typed ? buffer[0] : 0;
+    if ((typed && type === 0) || !TRANSACTION_FIELDS[type]) {
+      return null;
+    }
+    let fields;
+    try {
+      fields = rlp.decode(typed ? buffer.slice(1) : buffer);
+    } catch (error) {
+      return null;
+    }
+    if (!Array.isArray(fields) || TRANSACTION_FIELDS[type].indexOf(fields.length) === -1) {
+      return null;
+    }
+    // legacy: nonce, gasPrice, gas, to, value, data; typed ones start with chainId, nonce and their fee fields
+    const offset = type === 0 ? 3 : type === 1 ? 4 : 5;
+    const hex = (field) => (Buffer.isBuffer(field) ? "0x" + field.toString("hex") : null);
+    return {
+      type: "0x" + type.toString(16),
+      to: hex(fields[offset]),
+      value: fields[offset + 1].length > 0 ? Utils.toQuantity(hex(fields[offset + 1])) : "0x0",
+      data: hex(fields[offset + 2]),
+    };
+  }
+}
+
+module.exports = SignPolicy;
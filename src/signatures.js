@@ -0,0 +1,125 @@
+// Copyright © 2017-2020 Trust Wallet.
+//
+// This file is part of Trust. The full Trust copyright notice, including
+// terms governing use, modification, and redistribution, is contained in the
+// file LICENSE at the root of the source code distribution tree.
+
+"use strict";
+
+import { Buffer } from "buffer";
+import { rawEncode } from "ethereumjs-abi";
+import { ecrecover, fromRpcSig, hashPersonalMessage, publicToAddress } from "ethereumjs-util";
+import ProviderRpcError from "./error";
+import TypedData from "./typed_data";
+import Utils from "./utils";
+
+const ADDRESS_PATTERN = /^0x[0-9a-fA-F]{40}$/;
+// bytes4(keccak256("isValidSignature(bytes32,bytes)")), also the magic value a valid signature returns
+const ERC1271_MAGIC_VALUE = "0x1626ba7e";
+
+/**
+ * Signature recovery for personal_sign / typed data, plus ERC-1271 checks for smart contract wallets.
+ */
+class SignatureVerifier {
+  constructor(provider) {
+    this.provider = provider;
+  }
+
+  get rpc() {
+    return this.provider.rpc;
+  }
+
+  /**
+   * EIP-191 personal message hash, message is a hex string or text as in personal_sign
+   */
+  static hashMessage(message) {
+    if (typeof message !== "string") {
+      throw ProviderRpcError.invalidParams("message must be a string");
+    }
+    return Utils.bufferToHex(hashPersonalMessage(Utils.messageToBuffer(message)));
+  }
+
+  static hashTypedData(typedData, version = "V4") {
+    const data = SignatureVerifier.parseTypedData(typedData);
+    return TypedData.hash(data, version);
+  }
+
+  /**
+   * Signer address (lowercase) of a 32 byte hash, throws -32602 for malformed signatures
+   */
+  static recover(hash, signature) {
+    if (typeof signature !== "string" || !/^0x[0-9a-fA-F]{130}$/.test(signature)) {
+      throw ProviderRpcError.invalidParams("signature must be a 65 byte hex string");
+    }
+    try {
+      const params = fromRpcSig(signature);
+      const publicKey = ecrecover(Buffer.from(hash.slice(2), "hex"), params.v, params.r, params.s);
+      return Utils.bufferToHex(publicToAddress(publicKey));
+    } catch (error) {
+      throw ProviderRpcError.invalidParams(`failed to recover signature: ${error.message}`);
+    }
+  }
+
+  static recoverPersonal(message, signature) {
+    return SignatureVerifier.recover(SignatureVerifier.hashMessage(message), signature);
+  }
+
+  static recoverTypedData(typedData, signature, version = "V4") {
+    return SignatureVerifier.recover(SignatureVerifier.hashTypedData(typedData, version), signature);
+  }
+
+  static parseTypedData(typedData) {
+    if (typeof typedData !== "string") {
+      return typedData;
+    }
+    try {
+      return JSON.parse(typedData);
+    } catch (error) {
+      throw ProviderRpcError.invalidParams(`typed data is not valid JSON: ${error.message}`);
+    }
+  }
+
+  /**
+   * Resolves true when address signed hash, as an EOA or through ERC-1271 isValidSignature.
+   */
+  verify(address, hash, signature) {
+    if (typeof address !== "string" || !ADDRESS_PATTERN.test(address)) {
+      return Promise.reject(ProviderRpcError.invalidParams(`invalid address: ${address}`));
+    }
+    if (typeof signature !== "string" || !/^0x([0-9a-fA-F]{2})*$/.test(signature)) {
+      return Promise.reject(ProviderRpcError.invalidParams("signature must be a hex string"));
+    }
+    try {
+      if (SignatureVerifier.recover(hash, signature) === address.toLowerCase()) {
+        return Promise.resolve(true);
+      }
+    } catch (error) {
+      // not an ECDSA signature, smart contract wallets can use any format
+    }
+    return this.rpc.getCode(address, "latest").then((code) => {
+      if (!code || code === "0x") {
+        return false;
+      }
+      return this.isValidSignature(address, hash, signature);
+    });
+  }
+
+  /**
+   * ERC-1271 isValidSignature(bytes32, bytes) through eth_call, reverts count as invalid.
+   */
+  isValidSignature(address, hash, signature) {
+    const args = rawEncode(["bytes32", "bytes"], [Buffer.from(hash.slice(2), "hex"), Utils.messageToBuffer(signature)]);
+    const data = ERC1271_MAGIC_VALUE + args.toString("hex");
+    return this.rpc
+      .ethCall({ to: address, data: data }, "latest")
+      .then((result) => typeof result === "string" && result.slice(0, 10).toLowerCase() === ERC1271_MAGIC_VALUE)
+      .catch((error) => {
+        if (error.code === 3 || /revert/i.test(error.message || "")) {
+          return false;
+        }
+        throw error;
+      });
+  }
+}
+
+module.exports = SignatureVerifier;
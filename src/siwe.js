@@ -0,0 +1,192 @@
+// Copyright © 2017-2020 Trust Wallet.
+//
+// This file is part of Trust. The full Trust copyright notice, including
+// terms governing use, modification, and redistribution, is contained in the
+// file LICENSE at the root of the source code distribution tree.
+
+"use strict";
+
+const HEADER_PATTERN = /^(?:([a-zA-Z][a-zA-Z0-9+\-.]*):\/\/)?(\S+) wants you to sign in with your Ethereum account:$/;
+const ADDRESS_PATTERN = /^0x[0-9a-fA-F]{40}$/;
+const NONCE_PATTERN = /^[a-zA-Z0-9]{8,}$/;
+// RFC 3339 date-time
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/i;
+
+// "Tag: value" lines after the statement, in the order EIP-4361 defines them
+const FIELDS = {
+  "URI": "uri",
+  "Version": "version",
+  "Chain ID": "chainId",
+  "Nonce": "nonce",
+  "Issued At": "issuedAt",
+  "Expiration Time": "expirationTime",
+  "Not Before": "notBefore",
+  "Request ID": "requestId",
+};
+const REQUIRED_FIELDS = ["uri", "version", "chainId", "nonce", "issuedAt"];
+
+const Warning = {
+  malformed: "malformed",
+  domainMismatch: "domain_mismatch",
+  schemeMismatch: "scheme_mismatch",
+  uriMismatch: "uri_mismatch",
+  chainMismatch: "chain_mismatch",
+  addressMismatch: "address_mismatch",
+  expired: "expired",
+  notYetValid: "not_yet_valid",
+};
+
+/**
+ * EIP-4361 Sign-In with Ethereum messages, see https://eips.ethereum.org/EIPS/eip-4361
+ */
+class SiweMessage {
+  static get Warning() {
+    return Warning;
+  }
+
+  /**
+   * Parse a SIWE message, null when the text isn't one. Problems with a message
+   * that does look like one end up in errors instead of making it a plain message.
+   */
+  static parse(text) {
+    if (typeof text !== "string") {
+      return null;
+    }
+    const lines = text.split("\n");
+    const header = HEADER_PATTERN.exec(lines[0]);
+    if (!header) {
+      return null;
+    }
+    const message = {
+      scheme: header[1],
+      domain: header[2],
+      address: lines[1],
+      statement: undefined,
+      resources: [],
+      errors: [],
+    };
+    if (!ADDRESS_PATTERN.test(message.address || "")) {
+      message.errors.push(`invalid address: ${message.address}`);
+    }
+
+    let index = 2;
+    if (lines[index] !== "") {
+      message.errors.push("missing empty line after the address");
+    }
+    index++;
+    // optional statement, the empty lines around it vary between libraries
+    if (lines[index] && !SiweMessage.fieldOf(lines[index])) {
+      message.statement = lines[index];
+      index++;
+    }
+
+    for (; index < lines.length; index++) {
+      const line = lines[index];
+      if (line === "") {
+        continue;
+      }
+      if (line === "Resources:") {
+        message.resources = lines.slice(index + 1).filter((item) => item.indexOf("- ") === 0).map((item) => item.slice(2));
+        break;
+      }
+      const field = SiweMessage.fieldOf(line);
+      if (!field) {
+        message.errors.push(`unexpected line: ${line}`);
+        continue;
+      }
+      message[field.name] = field.value;
+    }
+
+    REQUIRED_FIELDS.forEach((name) => {
+      if (message[name] === undefined) {
+        message.errors.push(`missing ${name}`);
+      }
+    });
+    if (message.version !== undefined && message.version !== "1") {
+      message.errors.push(`unsupported version ${message.version}`);
+    }
+    if (message.chainId !== undefined) {
+      const chainId = Number(message.chainId);
+      message.chainId = Number.isSafeInteger(chainId) && chainId > 0 ? chainId : message.chainId;
+      if (typeof message.chainId !== "number") {
+        message.errors.push(`invalid chain id ${message.chainId}`);
+      }
+    }
+    if (message.nonce !== undefined && !NONCE_PATTERN.test(message.nonce)) {
+      message.errors.push("nonce must be at least 8 alphanumeric characters");
+    }
+    ["issuedAt", "expirationTime", "notBefore"].forEach((name) => {
+      if (message[name] !== undefined && !DATE_PATTERN.test(message[name])) {
+        message.errors.push(`${name} is not an RFC 3339 date`);
+      }
+    });
+    return message;
+  }
+
+  static fieldOf(line) {
+    const separator = (line || "").indexOf(": ");
+    const tag = separator > 0 ? line.slice(0, separator) : null;
+    return FIELDS[tag] ? { name: FIELDS[tag], value: line.slice(separator + 2) } : null;
+  }
+
+  /**
+   * Check a parsed message against the page and the wallet,
+   * context: {location, chainId (number), address, now (ms)}. Returns [{type, level, message}]
+   */
+  static verify(message, context) {
+    const warnings = [];
+    const location = context.location;
+    const add = (type, level, text) => warnings.push({ type: type, level: level, message: text });
+
+    if (message.errors.length > 0) {
+      add(Warning.malformed, "warning", message.errors.join(", "));
+    }
+    if (message.domain !== location.host) {
+      add(Warning.domainMismatch, "danger", `sign in request for ${message.domain} comes from ${location.host}`);
+    }
+    if (message.scheme && message.scheme + ":" !== location.protocol) {
+      add(Warning.schemeMismatch, "danger", `scheme ${message.scheme} doesn't match ${location.protocol}`);
+    }
+    if (message.uri !== undefined && SiweMessage.originOf(message.uri) !== location.origin) {
+      add(Warning.uriMismatch, "danger", `uri ${message.uri} doesn't belong to ${location.origin}`);
+    }
+    if (typeof message.chainId === "number" && message.chainId !== context.chainId) {
+      add(Warning.chainMismatch, "warning", `message is for chain ${message.chainId}, the active chain is ${context.chainId}`);
+    }
+    if (context.address && (message.address || "").toLowerCase() !== context.address.toLowerCase()) {
+      add(Warning.addressMismatch, "danger", `message is for ${message.address}, signing with ${context.address}`);
+    }
+    const expiration = Date.parse(message.expirationTime);
+    if (!Number.isNaN(expiration) && expiration <= context.now) {
+      add(Warning.expired, "danger", `message expired at ${message.expirationTime}`);
+    }
+    const notBefore = Date.parse(message.notBefore);
+    if (!Number.isNaN(notBefore) && notBefore > context.now) {
+      add(Warning.notYetValid, "warning", `message is not valid before ${message.notBefore}`);
+    }
+    return warnings;
+  }
+
+  static originOf(uri) {
+    try {
+      return new URL(uri).origin;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Location-like {host, protocol, origin} of an origin, e.g. a child frame's
+   */
+  static locationOf(origin) {
+    try {
+      const url = new URL(origin);
+      return { host: url.host, protocol: url.protocol, origin: url.origin };
+    } catch (error) {
+      // opaque origins of sandboxed frames
+      return { host: "", protocol: "", origin: origin };
+    }
+  }
+}
+
+module.exports = SiweMessage;
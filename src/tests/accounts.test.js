@@ -0,0 +1,62 @@
+// Copyright © 2017-2020 Trust Wallet.
+//
+// This file is part of Trust. The full Trust copyright notice, including
+// terms governing use, modification, and redistribution, is contained in the
+// file LICENSE at the root of the source code distribution tree.
+
+"use strict";
+
+require("../index");
+const Trust = window.Trust;
+
+const accounts = [
+  "0x9d8A62f656a8d1615C1294fd71e9CFb3E4855A4F",
+  "0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed",
+];
+
+const config = { chainId: 1, rpcUrl: "", eip6963: false };
+
+describe("Multiple accounts tests", () => {
+  test("test setAccounts", async () => {
+    const provider = new Trust(Object.assign({ address: accounts[0] }, config));
+    const changes = [];
+    provider.on("accountsChanged", (list) => changes.push(list));
+
+    provider.setAccounts(accounts);
+    provider.setAccounts(accounts.map((address) => address.toLowerCase()));
+    expect(changes).toEqual([accounts.map((address) => address.toLowerCase())]);
+
+    expect(await provider.request({ method: "eth_accounts" })).toEqual(changes[0]);
+    expect(await provider.request({ method: "eth_coinbase" })).toBe(accounts[0].toLowerCase());
+    expect(provider.selectedAddress).toBe(accounts[0].toLowerCase());
+  });
+
+  test("test empty list", async () => {
+    const provider = new Trust(Object.assign({ accounts: accounts }, config));
+    const changes = [];
+    provider.on("accountsChanged", (list) => changes.push(list));
+
+    provider.setAccounts([]);
+    expect(changes).toEqual([[]]);
+    expect(provider.address).toBe("");
+    expect(await provider.request({ method: "eth_accounts" })).toEqual([]);
+    expect(await provider.request({ method: "eth_coinbase" })).toBeNull();
+  });
+
+  test("test checksum addresses", async () => {
+    const provider = new Trust(Object.assign({ checksumAddresses: true }, config));
+    provider.setAccounts(accounts.map((address) => address.toLowerCase()));
+
+    expect(await provider.request({ method: "eth_accounts" })).toEqual(accounts);
+  });
+
+  test("test other origin", () => {
+    const provider = new Trust(Object.assign({ accounts: accounts }, config));
+    const listener = jest.fn();
+    provider.on("accountsChanged", listener);
+
+    provider.setAccounts([accounts[1]], "https://app.uniswap.org");
+    expect(listener).not.toHaveBeenCalled();
+    expect(provider.getAccounts("https://app.uniswap.org")).toEqual([accounts[1].toLowerCase()]);
+  });
+});
@@ -0,0 +1,134 @@
+// Copyright © 2017-2020 Trust Wallet.
+//
+// This file is part of Trust. The full Trust copyright notice, including
+// terms governing use, modification, and redistribution, is contained in the
+// file LICENSE at the root of the source code distribution tree.
+
+"use strict";
+
+require("../index");
+const Trust = window.Trust;
+const abi = require("ethereumjs-abi");
+const ProviderRpcError = require("../error");
+
+const address = "0xcd2a3d9f938e13cd947ec05abc7fe734df8dd826";
+const usdc = "0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48";
+const nft = "0xbc4ca0eda7647a8ab7c2061c2e118a18a936f13d";
+
+function encode(types, values) {
+  return "0x" + abi.rawEncode(types, values).toString("hex");
+}
+
+// eth_call results by selector
+const contracts = {
+  [usdc]: {
+    "0x95d89b41": encode(["string"], ["USDC"]),
+    "0x313ce567": encode(["uint8"], [6]),
+  },
+  [nft]: {
+    "0x95d89b41": encode(["string"], ["BAYC"]),
+    "0x01ffc9a7": encode(["bool"], [true]),
+    "0x6352211e": encode(["address"], [address]),
+  },
+};
+
+function createProvider(rpc) {
+  const provider = new Trust({ address: address, chainId: 1, rpcUrl: "", eip6963: false, bridge: "memory" });
+  provider.rpc = Object.assign(
+    {
+      getCode: (to) => Promise.resolve(contracts[to] ? "0x6080" : "0x"),
+      ethCall: (tx) => {
+        const result = (contracts[tx.to] || {})[tx.data.slice(0, 10)];
+        return result ? Promise.resolve(result) : Promise.reject(new ProviderRpcError(3, "execution reverted"));
+      },
+    },
+    rpc
+  );
+  return provider;
+}
+
+function watch(provider, params, type) {
+  const request = provider.request({ method: "wallet_watchAsset", params: params, type: type });
+  return new Promise((resolve) => setTimeout(resolve, 0)).then(() => {
+    request.catch(() => {});
+    return provider.getBridge().messages[0];
+  });
+}
+
+describe("wallet_watchAsset tests", () => {
+  test("test ERC20 completed from the contract", () => {
+    const provider = createProvider();
+
+    return watch(provider, { type: "ERC20", options: { address: usdc, image: "https://usdc.png" } }).then((message) => {
+      expect(message.name).toBe("watchAsset");
+      expect(message.payload).toEqual({
+        type: "ERC20",
+        contract: usdc,
+        symbol: "USDC",
+        decimals: 6,
+        image: "https://usdc.png",
+        verified: true,
+      });
+    });
+  });
+
+  test("test legacy top level type", () => {
+    const provider = createProvider();
+
+    return watch(provider, { options: { address: usdc, symbol: "usdc", decimals: "6" } }, "ERC20").then((message) => {
+      expect(message.payload.symbol).toBe("USDC");
+    });
+  });
+
+  test("test spoofed symbol and decimals", () => {
+    const provider = createProvider();
+    const send = (options) => provider.request({ method: "wallet_watchAsset", params: { type: "ERC20", options: options } });
+
+    return Promise.all([
+      expect(send({ address: usdc, symbol: "USDT", decimals: 6 })).rejects.toMatchObject({ code: -32602 }),
+      expect(send({ address: usdc, symbol: "USDC", decimals: 18 })).rejects.toMatchObject({ code: -32602 }),
+      expect(send({ address: address, symbol: "USDC", decimals: 6 })).rejects.toMatchObject({ code: -32602 }),
+    ]).then(() => {
+      expect(provider.getBridge().messages.length).toBe(0);
+    });
+  });
+
+  test("test malformed requests", () => {
+    const provider = createProvider();
+    const send = (params) => provider.request({ method: "wallet_watchAsset", params: params });
+
+    return Promise.all([
+      expect(send({ type: "ERC20" })).rejects.toMatchObject({ code: -32602 }),
+      expect(send({ type: "ERC777", options: { address: usdc } })).rejects.toMatchObject({ code: -32602 }),
+      expect(send({ type: "ERC20", options: { address: "0x12" } })).rejects.toMatchObject({ code: -32602 }),
+      expect(send({ type: "ERC20", options: { address: usdc, symbol: "VERYLONGSYMBOL" } })).rejects.toMatchObject({ code: -32602 }),
+      expect(send({ type: "ERC20", options: { address: usdc, decimals: 40 } })).rejects.toMatchObject({ code: -32602 }),
+      expect(send({ type: "ERC721", options: { address: nft } })).rejects.toMatchObject({ code: -32602 }),
+    ]);
+  });
+
+  test("test ERC721 ownership", () => {
+    const provider = createProvider();
+
+    return watch(provider, [{ type: "ERC721", options: { address: nft, tokenId: "0x2a" } }]).then((message) => {
+      expect(message.payload.tokenId).toBe("42");
+      expect(message.payload.symbol).toBe("BAYC");
+      expect(message.payload.verified).toBe(true);
+
+      const other = createProvider({
+        ethCall: (tx) => Promise.resolve((contracts[tx.to][tx.data.slice(0, 10)] || "").replace(address.slice(2), usdc.slice(2))),
+      });
+      return expect(
+        other.request({ method: "wallet_watchAsset", params: { type: "ERC721", options: { address: nft, tokenId: "42" } } })
+      ).rejects.toMatchObject({ code: -32602, message: expect.stringContaining("not owned") });
+    });
+  });
+
+  test("test unreachable node forwards unverified assets", () => {
+    const provider = createProvider({ getCode: () => Promise.reject(ProviderRpcError.resourceUnavailable()) });
+
+    return watch(provider, { type: "ERC20", options: { address: usdc, symbol: "USDC", decimals: 6 } }).then((message) => {
+      expect(message.payload.verified).toBe(false);
+    });
+  });
+});
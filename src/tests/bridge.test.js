@@ -0,0 +1,111 @@
+// Copyright © 2017-2020 Trust Wallet.
+//
+// This file is part of Trust. The full Trust copyright notice, including
+// terms governing use, modification, and redistribution, is contained in the
+// file LICENSE at the root of the source code distribution tree.
+
+"use strict";
+
+require("../index");
+const Trust = window.Trust;
+const {
+  Bridge,
+  WebKitBridge,
+  AndroidBridge,
+  ParentFrameBridge,
+  MemoryBridge,
+} = require("../bridge");
+
+const address = "0x9d8A62f656a8d1615C1294fd71e9CFb3E4855A4F";
+
+// no address yet, eth_requestAccounts has to go through native
+const mainnet = {
+  chainId: 1,
+  rpcUrl: "https://mainnet.infura.io/v3/6e822818ec644335be6f0ed231f48310",
+};
+
+describe("Bridge tests", () => {
+  afterEach(() => {
+    delete window.webkit;
+    delete window.ethWeb3;
+  });
+
+  test("test detect webkit", () => {
+    window.webkit = { messageHandlers: { ethWeb3: { postMessage: jest.fn() } } };
+    expect(Bridge.detect()).toBeInstanceOf(WebKitBridge);
+  });
+
+  test("test detect android", () => {
+    const postMessage = jest.fn();
+    window.ethWeb3 = { postMessage };
+
+    const bridge = Bridge.detect();
+    expect(bridge).toBeInstanceOf(AndroidBridge);
+
+    bridge.postMessage({ name: "requestAccounts", id: "1" });
+    expect(postMessage).toHaveBeenCalledWith(
+      JSON.stringify({ name: "requestAccounts", id: "1" })
+    );
+  });
+
+  test("test detect nothing", () => {
+    expect(Bridge.detect()).toBeNull();
+  });
+
+  test("test parent bridge is opt-in", () => {
+    const parent = { postMessage: jest.fn() };
+    const spy = jest.spyOn(window, "parent", "get").mockReturnValue(parent);
+
+    // framed by any page, never picked on its own
+    expect(Bridge.detect()).toBeNull();
+    expect(() => Bridge.create("parent")).toThrow(/targetOrigin/);
+    expect(() => new ParentFrameBridge("ethWeb3", "*")).toThrow(/targetOrigin/);
+
+    Bridge.create("parent", "ethWeb3", "https://wallet.example").postMessage({ name: "requestAccounts" });
+    expect(parent.postMessage).toHaveBeenCalledWith(
+      { target: "ethWeb3", data: { name: "requestAccounts" } },
+      "https://wallet.example"
+    );
+    spy.mockRestore();
+  });
+
+  test("test provider with parent bridge without origin", () => {
+    const provider = new Trust(Object.assign({ bridge: "parent" }, mainnet));
+
+    return expect(provider.request({ method: "eth_requestAccounts" })).rejects.toMatchObject({ code: 4900 });
+  });
+
+  test("test create from type name", () => {
+    expect(Bridge.create("memory")).toBeInstanceOf(MemoryBridge);
+    expect(() => Bridge.create("carrier-pigeon")).toThrow();
+  });
+
+  test("test base bridge sends nothing", () => {
+    expect(() => new Bridge().postMessage({ name: "requestAccounts" })).toThrow(
+      "Bridge does not implement postMessage, requestAccounts was not sent"
+    );
+  });
+
+  test("test provider with memory bridge", (done) => {
+    const bridge = new MemoryBridge("ethWeb3", (message) => {
+      expect(message.name).toBe("requestAccounts");
+      expect(message.dapp.origin).toBe(window.location.origin);
+      provider.sendResponse(Number(message.id), [address]);
+    });
+    const provider = new Trust(Object.assign({ bridge }, mainnet));
+
+    provider.request({ method: "eth_requestAccounts" }).then((accounts) => {
+      expect(accounts).toEqual([address.toLowerCase()]);
+      expect(bridge.messages.length).toBe(1);
+      done();
+    });
+  });
+
+  test("test provider without bridge", () => {
+    const provider = new Trust(mainnet);
+
+    return expect(
+      provider.request({ method: "eth_requestAccounts" })
+    ).rejects.toMatchObject({ code: 4900 });
+  });
+});
@@ -0,0 +1,121 @@
+// Copyright © 2017-2020 Trust Wallet.
+//
+// This file is part of Trust. The full Trust copyright notice, including
+// terms governing use, modification, and redistribution, is contained in the
+// file LICENSE at the root of the source code distribution tree.
+
+"use strict";
+
+const CachedRPCServer = require("../cached_rpc");
+
+describe("CachedRPCServer tests", () => {
+  let requests;
+  let blockNumber;
+  let code;
+
+  beforeEach(() => {
+    requests = [];
+    blockNumber = 100;
+    code = "0x";
+    window.fetch = jest.fn((url, options) => {
+      const payload = JSON.parse(options.body);
+      requests.push(payload);
+      let result = "0x" + requests.length;
+      if (payload.method === "eth_blockNumber") {
+        result = "0x" + blockNumber.toString(16);
+      } else if (payload.method === "eth_getCode") {
+        result = code;
+      } else if (payload.method === "eth_getTransactionReceipt") {
+        result = { blockNumber: "0x10", status: "0x1" };
+      }
+      return Promise.resolve({ json: () => Promise.resolve({ jsonrpc: "2.0", id: payload.id, result: result }) });
+    });
+  });
+
+  afterEach(() => {
+    delete window.fetch;
+  });
+
+  const ethCall = (id) => ({
+    jsonrpc: "2.0",
+    id: id,
+    method: "eth_call",
+    params: [{ to: "0xdac17f958d2ee523a2206206994597c13d831ec7", data: "0x18160ddd" }, "latest"],
+  });
+
+  test("test in-flight deduplication", async () => {
+    const rpc = new CachedRPCServer("https://rpc.example");
+    const responses = await Promise.all([rpc.call(ethCall(1)), rpc.call(ethCall(2))]);
+
+    expect(requests.length).toBe(1);
+    expect(responses.map((response) => response.id)).toEqual([1, 2]);
+    expect(responses[0].result).toBe(responses[1].result);
+  });
+
+  test("test block scoped results flushed on new block", async () => {
+    const rpc = new CachedRPCServer("https://rpc.example", { blockNumberTTL: 0 });
+    await rpc.getBlockNumber();
+    await rpc.call(ethCall(1));
+    await rpc.call(ethCall(2));
+    expect(requests.length).toBe(2);
+
+    blockNumber = 101;
+    await rpc.getBlockNumber();
+    await rpc.call(ethCall(3));
+    expect(requests.length).toBe(4);
+  });
+
+  test("test empty code is only cached for the block", async () => {
+    const rpc = new CachedRPCServer("https://rpc.example", { blockNumberTTL: 0 });
+    const wallet = "0x5aaeb6053f3e94c9b9a09f33669435e7ef1beaed";
+    await rpc.getBlockNumber();
+    expect(await rpc.getCode(wallet)).toBe("0x");
+    expect(await rpc.getCode(wallet)).toBe("0x");
+    expect(requests.length).toBe(2);
+
+    // the smart account got deployed
+    code = "0x6080";
+    blockNumber = 101;
+    await rpc.getBlockNumber();
+    expect(await rpc.getCode(wallet)).toBe("0x6080");
+
+    blockNumber = 102;
+    await rpc.getBlockNumber();
+    expect(await rpc.getCode(wallet)).toBe("0x6080");
+    expect(requests.filter((request) => request.method === "eth_getCode").length).toBe(2);
+  });
+
+  test("test finalized receipts are permanent", async () => {
+    const rpc = new CachedRPCServer("https://rpc.example", { blockNumberTTL: 0 });
+    const receipt = { jsonrpc: "2.0", id: 1, method: "eth_getTransactionReceipt", params: ["0xabc"] };
+    await rpc.getBlockNumber();
+    await rpc.call(receipt);
+
+    blockNumber = 200;
+    await rpc.getBlockNumber();
+    await rpc.call(receipt);
+    expect(requests.filter((payload) => payload.method === "eth_getTransactionReceipt").length).toBe(1);
+  });
+
+  test("test nonces, gas estimates and pending calls are never cached", async () => {
+    const rpc = new CachedRPCServer("https://rpc.example");
+    await rpc.getBlockNumber();
+    const nonces = [await rpc.getTransactionCount("0xcd2a3d9f938e13cd947ec05abc7fe734df8dd826", "latest")];
+    nonces.push(await rpc.getTransactionCount("0xcd2a3d9f938e13cd947ec05abc7fe734df8dd826", "latest"));
+    const gas = [await rpc.estimateGas({ to: "0x5aaeb6053f3e94c9b9a09f33669435e7ef1beaed" })];
+    gas.push(await rpc.estimateGas({ to: "0x5aaeb6053f3e94c9b9a09f33669435e7ef1beaed" }));
+    const pending = Object.assign(ethCall(1), { params: [ethCall(1).params[0], "pending"] });
+    await Promise.all([rpc.call(pending), rpc.call(pending)]);
+
+    expect(nonces[0]).not.toBe(nonces[1]);
+    expect(gas[0]).not.toBe(gas[1]);
+    expect(requests.filter((payload) => payload.method === "eth_call").length).toBe(2);
+  });
+
+  test("test send raw transaction is never cached", async () => {
+    const rpc = new CachedRPCServer("https://rpc.example");
+    const payload = { jsonrpc: "2.0", id: 1, method: "eth_sendRawTransaction", params: ["0xf8"] };
+    await Promise.all([rpc.call(payload), rpc.call(payload)]);
+    expect(requests.length).toBe(2);
+  });
+});
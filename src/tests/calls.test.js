@@ -0,0 +1,113 @@
+// Copyright © 2017-2020 Trust Wallet.
+//
+// This file is part of Trust. The full Trust copyright notice, including
+// terms governing use, modification, and redistribution, is contained in the
+// file LICENSE at the root of the source code distribution tree.
+
+"use strict";
+
+require("../index");
+const Trust = window.Trust;
+const CallsManager = require("../calls");
+
+const address = "0xcd2a3d9f938e13cd947ec05abc7fe734df8dd826";
+const token = "0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48";
+const router = "0x5aaeb6053f3e94c9b9a09f33669435e7ef1beaed";
+
+const bundle = {
+  version: "2.0.0",
+  chainId: "0x01",
+  from: address,
+  atomicRequired: false,
+  calls: [
+    { to: token, data: "0x095ea7b3" },
+    { to: router, data: "0x38ed1739", value: 100 },
+  ],
+};
+
+function createProvider(config = {}) {
+  return new Trust(Object.assign({ address: address, chainId: 1, rpcUrl: "", eip6963: false, bridge: "memory" }, config));
+}
+
+describe("EIP-5792 calls tests", () => {
+  test("test getCapabilities", () => {
+    const provider = createProvider({
+      capabilities: { "0x0": { atomic: { status: "unsupported" } }, "0x1": { paymasterService: { supported: true } } },
+    });
+
+    return provider.request({ method: "wallet_getCapabilities", params: [address, ["0x1", "0x38"]] }).then((result) => {
+      expect(result).toEqual({
+        "0x1": { atomic: { status: "unsupported" }, paymasterService: { supported: true } },
+        "0x38": { atomic: { status: "unsupported" } },
+      });
+    });
+  });
+
+  test("test sendCalls and getCallsStatus", () => {
+    const provider = createProvider();
+    const receipts = {
+      "0xaa": null,
+      "0xbb": { status: "0x1", blockHash: "0x1234", blockNumber: "0x10", gasUsed: "0x5208", transactionHash: "0xbb", logs: [] },
+    };
+    provider.rpc = { getTransactionReceipt: (hash) => Promise.resolve(receipts[hash]) };
+
+    const sent = provider.request({ method: "wallet_sendCalls", params: [Object.assign({ id: "0xbundle" }, bundle)] });
+    const message = provider.getBridge().messages[0];
+    expect(message.name).toBe("sendCalls");
+    expect(message.payload.chainId).toBe("0x1");
+    expect(message.payload.calls[1].value).toBe("0x64");
+    provider.sendResponse(Number(message.id), ["0xaa", "0xbb"]);
+
+    return sent
+      .then((result) => {
+        expect(result).toEqual({ id: "0xbundle" });
+        return provider.request({ method: "wallet_getCallsStatus", params: ["0xbundle"] });
+      })
+      .then((status) => {
+        expect(status).toEqual({ version: "2.0.0", id: "0xbundle", chainId: "0x1", status: CallsManager.Status.pending, atomic: false });
+
+        receipts["0xaa"] = Object.assign({}, receipts["0xbb"], { status: "0x0", transactionHash: "0xaa" });
+        return provider.request({ method: "wallet_getCallsStatus", params: ["0xbundle"] });
+      })
+      .then((status) => {
+        expect(status.status).toBe(CallsManager.Status.partiallyReverted);
+        expect(status.receipts.map((receipt) => receipt.transactionHash)).toEqual(["0xaa", "0xbb"]);
+
+        return expect(
+          provider.request({ method: "wallet_sendCalls", params: [Object.assign({ id: "0xbundle" }, bundle)] })
+        ).rejects.toMatchObject({ code: 5720 });
+      });
+  });
+
+  test("test invalid bundles", () => {
+    const provider = createProvider();
+    const send = (request) => provider.request({ method: "wallet_sendCalls", params: [Object.assign({}, bundle, request)] });
+
+    return Promise.all([
+      expect(send({ calls: [] })).rejects.toMatchObject({ code: -32602 }),
+      expect(send({ calls: [{ to: "0x12" }] })).rejects.toMatchObject({ code: -32602 }),
+      expect(send({ chainId: "0x38" })).rejects.toMatchObject({ code: 5710 }),
+      expect(send({ from: router })).rejects.toMatchObject({ code: 4100 }),
+      expect(send({ atomicRequired: true })).rejects.toMatchObject({ code: 5760 }),
+      expect(send({ capabilities: { paymasterService: { url: "https://paymaster" } } })).rejects.toMatchObject({ code: 5700 }),
+      expect(provider.request({ method: "wallet_getCallsStatus", params: ["0xmissing"] })).rejects.toMatchObject({ code: 5730 }),
+    ]).then(() => {
+      expect(provider.getBridge().messages.length).toBe(0);
+    });
+  });
+
+  test("test optional capabilities and generated id", () => {
+    const provider = createProvider();
+    const sent = provider.request({
+      method: "wallet_sendCalls",
+      params: [Object.assign({}, bundle, { version: "1.0", capabilities: { paymasterService: { optional: true } } })],
+    });
+    const message = provider.getBridge().messages[0];
+    expect(message.payload.id).toMatch(/^0x[0-9a-f]{32}$/);
+    provider.sendResponse(Number(message.id), { transactionHashes: ["0xaa"] });
+
+    return sent.then((result) => {
+      expect(result).toBe(message.payload.id);
+    });
+  });
+});
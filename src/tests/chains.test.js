@@ -0,0 +1,130 @@
+// Copyright © 2017-2020 Trust Wallet.
+//
+// This file is part of Trust. The full Trust copyright notice, including
+// terms governing use, modification, and redistribution, is contained in the
+// file LICENSE at the root of the source code distribution tree.
+
+"use strict";
+
+require("../index");
+const Trust = window.Trust;
+const ChainRegistry = require("../chains");
+
+const address = "0xcd2a3d9f938e13cd947ec05abc7fe734df8dd826";
+const mainnet = "https://mainnet.infura.io/apikey";
+const bsc = "https://bsc-dataseed1.binance.org";
+
+const polygon = {
+  chainId: "0x89",
+  chainName: "Polygon",
+  nativeCurrency: { name: "MATIC", symbol: "MATIC", decimals: 18 },
+  rpcUrls: ["https://polygon-rpc.com"],
+  blockExplorerUrls: ["https://polygonscan.com"],
+};
+
+function createProvider() {
+  return new Trust({
+    address: address,
+    chainId: 1,
+    rpcUrl: mainnet,
+    chains: [{ chainId: 56, rpcUrl: bsc, chainName: "Smart Chain" }],
+    eip6963: false,
+    bridge: "memory",
+  });
+}
+
+describe("Chain registry tests", () => {
+  test("test switch to a configured chain", () => {
+    const provider = createProvider();
+    const chainChanged = jest.fn();
+    provider.on("chainChanged", chainChanged);
+
+    const switched = provider.request({ method: "wallet_switchEthereumChain", params: [{ chainId: "0x38" }] });
+    const message = provider.getBridge().messages[0];
+    expect(message.name).toBe("switchEthereumChain");
+    expect(message.payload).toEqual({ chainId: "0x38" });
+    provider.sendResponse(Number(message.id), null);
+
+    return switched.then((result) => {
+      expect(result).toBeNull();
+      expect(provider.chainId).toBe("0x38");
+      expect(provider.networkVersion).toBe("56");
+      expect(provider.rpc.rpcUrl).toBe(bsc);
+      expect(chainChanged).toHaveBeenCalledWith("0x38");
+    });
+  });
+
+  test("test switch to the active chain or with invalid params", () => {
+    const provider = createProvider();
+
+    return Promise.all([
+      expect(provider.request({ method: "wallet_switchEthereumChain", params: [{ chainId: "0x1" }] })).resolves.toBeNull(),
+      expect(provider.request({ method: "wallet_switchEthereumChain", params: [{ chainId: 137 }] })).rejects.toMatchObject({ code: -32602 }),
+    ]).then(() => {
+      expect(provider.getBridge().messages.length).toBe(0);
+    });
+  });
+
+  test("test unknown chains are unrecognized", async () => {
+    const provider = createProvider();
+
+    const rejected = provider.request({ method: "wallet_switchEthereumChain", params: [{ chainId: "0x89" }] });
+    await expect(rejected).rejects.toMatchObject({ code: 4902 });
+    expect(provider.getBridge().messages).toEqual([]);
+    expect(provider.chainId).toBe("0x1");
+  });
+
+  test("test add then switch", async () => {
+    const provider = createProvider();
+
+    const added = provider.request({ method: "wallet_addEthereumChain", params: [polygon] });
+    const message = provider.getBridge().messages[0];
+    expect(message.name).toBe("addEthereumChain");
+    expect(message.payload.chainName).toBe("Polygon");
+    expect(provider.chains.has("0x89")).toBe(false);
+    provider.sendResponse(Number(message.id), null);
+    await added;
+    expect(provider.chains.get("0x89").rpcUrls).toEqual(["https://polygon-rpc.com"]);
+
+    const switched = provider.request({ method: "wallet_switchEthereumChain", params: [{ chainId: "0x89" }] });
+    const switchMessage = provider.getBridge().messages[1];
+    expect(switchMessage.name).toBe("switchEthereumChain");
+    provider.sendResponse(Number(switchMessage.id), null);
+    await switched;
+    // the dapp's rpc urls don't serve requests, native's setConfig brings the host's
+    expect(provider.chainId).toBe("0x1");
+    expect(provider.rpc.rpcUrl).toBe(mainnet);
+    provider.setConfig({ address: address, chainId: 137, rpcUrl: "https://polygon.example" });
+    expect(provider.chainId).toBe("0x89");
+    expect(provider.rpc.rpcUrl).toBe("https://polygon.example");
+  });
+
+  test("test dapps can't replace configured chains", async () => {
+    const provider = createProvider();
+    const evil = Object.assign({}, polygon, { chainId: "0x38", chainName: "BNB", rpcUrls: ["https://evil.example"] });
+
+    const added = provider.request({ method: "wallet_addEthereumChain", params: [evil] });
+    provider.sendResponse(Number(provider.getBridge().messages[0].id), null);
+    await added;
+    expect(provider.chains.get("0x38")).toMatchObject({ chainName: "Smart Chain", rpcUrls: [bsc] });
+
+    const switched = provider.request({ method: "wallet_switchEthereumChain", params: [{ chainId: "0x38" }] });
+    provider.sendResponse(Number(provider.getBridge().messages[1].id), null);
+    await switched;
+    expect(provider.rpc.rpcUrl).toBe(bsc);
+  });
+
+  test("test EIP-3085 validation", () => {
+    const parse = (changes) => () => ChainRegistry.parseAddParams([Object.assign({}, polygon, changes)]);
+
+    expect(parse({})).not.toThrow();
+    expect(parse({ chainId: "0x089" })).toThrow("leading zeros");
+    expect(parse({ chainName: " " })).toThrow("chainName");
+    expect(parse({ nativeCurrency: { name: "MATIC", symbol: "M", decimals: 18 } })).toThrow("symbol");
+    expect(parse({ nativeCurrency: { name: "MATIC", symbol: "MATIC", decimals: 6 } })).toThrow("decimals");
+    expect(parse({ rpcUrls: [] })).toThrow("rpcUrls");
+    expect(parse({ rpcUrls: ["http://polygon-rpc.com"] })).toThrow("https");
+    expect(parse({ rpcUrls: ["http://localhost:8545"] })).not.toThrow();
+    expect(parse({ blockExplorerUrls: ["javascript:alert(1)"] })).toThrow("https");
+  });
+});
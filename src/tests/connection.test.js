@@ -0,0 +1,76 @@
+// Copyright © 2017-2020 Trust Wallet.
+//
+// This file is part of Trust. The full Trust copyright notice, including
+// terms governing use, modification, and redistribution, is contained in the
+// file LICENSE at the root of the source code distribution tree.
+
+"use strict";
+
+require("../index");
+const Trust = window.Trust;
+
+const config = {
+  chainId: 56,
+  rpcUrl: "https://bsc-dataseed1.binance.org",
+  eip6963: false,
+  rpcCache: false,
+  rpcOptions: { maxRetries: 0 },
+};
+
+const nextTick = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+describe("Connection state tests", () => {
+  afterEach(() => {
+    delete window.fetch;
+  });
+
+  test("test connect is deferred and replayed", async () => {
+    const provider = new Trust(Object.assign({ bridge: "memory" }, config));
+    const early = jest.fn();
+    provider.on("connect", early);
+    expect(provider.isConnected()).toBeFalsy();
+
+    await nextTick();
+    expect(provider.isConnected()).toBeTruthy();
+    expect(early).toHaveBeenCalledWith({ chainId: "0x38" });
+
+    const late = jest.fn();
+    provider.once("connect", late);
+    await nextTick();
+    expect(late).toHaveBeenCalledWith({ chainId: "0x38" });
+    expect(provider.listenerCount("connect")).toBe(1);
+    expect(early).toHaveBeenCalledTimes(1);
+  });
+
+  test("test rpc unreachable", async () => {
+    const provider = new Trust(Object.assign({ bridge: "memory" }, config));
+    await nextTick();
+
+    const disconnect = jest.fn();
+    const connect = jest.fn();
+    provider.on("disconnect", disconnect);
+    window.fetch = () => Promise.reject(new TypeError("Failed to fetch"));
+    await expect(provider.request({ method: "eth_blockNumber" })).rejects.toMatchObject({ code: -32002 });
+
+    expect(provider.connectionState).toBe(Trust.ConnectionState.chainDisconnected);
+    expect(provider.isConnected()).toBeFalsy();
+    expect(disconnect.mock.calls[0][0].code).toBe(4901);
+
+    provider.on("connect", connect);
+    window.fetch = () => Promise.resolve({ json: () => Promise.resolve({ jsonrpc: "2.0", id: 1, result: "0x1" }) });
+    await provider.request({ method: "eth_blockNumber" });
+    expect(provider.isConnected()).toBeTruthy();
+    expect(connect).toHaveBeenCalledTimes(1);
+  });
+
+  test("test native bridge unreachable", async () => {
+    const provider = new Trust(config);
+    await nextTick();
+
+    const disconnect = jest.fn();
+    provider.on("disconnect", disconnect);
+    await expect(provider.request({ method: "eth_requestAccounts" })).rejects.toMatchObject({ code: 4900 });
+    expect(provider.connectionState).toBe(Trust.ConnectionState.disconnected);
+    expect(disconnect.mock.calls[0][0].code).toBe(4900);
+  });
+});
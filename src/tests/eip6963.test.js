@@ -0,0 +1,58 @@
+// Copyright © 2017-2020 Trust Wallet.
+//
+// This file is part of Trust. The full Trust copyright notice, including
+// terms governing use, modification, and redistribution, is contained in the
+// file LICENSE at the root of the source code distribution tree.
+
+"use strict";
+
+require("../index");
+const Trust = window.Trust;
+
+const providerInfo = {
+  uuid: "350670db-19fa-4704-a166-e52e178b59d2",
+  name: "Example Wallet",
+  icon: "data:image/svg+xml;base64,PHN2Zy8+",
+  rdns: "com.example.wallet",
+};
+
+describe("EIP-6963 tests", () => {
+  test("test announce on construct and on request", () => {
+    const details = [];
+    const listener = (event) => details.push(event.detail);
+    window.addEventListener("eip6963:announceProvider", listener);
+
+    const provider = new Trust({ chainId: 1, rpcUrl: "", providerInfo });
+    expect(details.length).toBe(1);
+    expect(details[0].info).toEqual(providerInfo);
+    expect(details[0].provider).toBe(provider);
+    expect(Object.isFrozen(details[0])).toBeTruthy();
+
+    window.dispatchEvent(new Event("eip6963:requestProvider"));
+    expect(details.length).toBe(2);
+
+    provider.announcer.stop();
+    window.removeEventListener("eip6963:announceProvider", listener);
+  });
+
+  test("test generated uuid", () => {
+    const info = Object.assign({}, providerInfo, { uuid: undefined });
+    const provider = new Trust({ chainId: 1, rpcUrl: "", providerInfo: info });
+
+    expect(provider.announcer.info.uuid).toMatch(/^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+    expect(provider.announcer.info.rdns).toBe("com.example.wallet");
+    provider.announcer.stop();
+  });
+
+  test("test disabled", () => {
+    const listener = jest.fn();
+    window.addEventListener("eip6963:announceProvider", listener);
+
+    expect(new Trust({ chainId: 1, rpcUrl: "", eip6963: false, providerInfo }).announcer).toBeUndefined();
+    // no identity of our own, nothing to announce
+    expect(new Trust({ chainId: 1, rpcUrl: "" }).announcer).toBeUndefined();
+    expect(new Trust({ chainId: 1, rpcUrl: "", providerInfo: { name: "Example Wallet" } }).announcer).toBeUndefined();
+    expect(listener).not.toHaveBeenCalled();
+    window.removeEventListener("eip6963:announceProvider", listener);
+  });
+});
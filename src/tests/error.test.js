@@ -0,0 +1,81 @@
+// Copyright © 2017-2020 Trust Wallet.
+//
+// This file is part of Trust. The full Trust copyright notice, including
+// terms governing use, modification, and redistribution, is contained in the
+// file LICENSE at the root of the source code distribution tree.
+
+"use strict";
+
+require("../index");
+const Trust = window.Trust;
+const ProviderRpcError = require("../error");
+const RPCServer = require("../rpc");
+
+describe("ProviderRpcError tests", () => {
+  test("test factories", () => {
+    const error = ProviderRpcError.userRejected();
+    expect(error).toBeInstanceOf(ProviderRpcError.EthereumProviderError);
+    expect(error.code).toBe(4001);
+    expect(error.message).toBe("User rejected the request.");
+    expect(ProviderRpcError.invalidParams("bad").toString()).toBe("bad (-32602)");
+  });
+
+  test("test from native", () => {
+    expect(ProviderRpcError.from("Canceled").code).toBe(4001);
+    expect(ProviderRpcError.from({ userRejected: true, message: "Dismissed" }).code).toBe(4001);
+    expect(ProviderRpcError.from("something went wrong").code).toBe(-32603);
+    // only native's explicit cancel is a user rejection
+    expect(ProviderRpcError.from("nonce rejected by node").code).toBe(-32603);
+    expect(ProviderRpcError.from("permission denied by RPC").code).toBe(-32603);
+    expect(ProviderRpcError.from("Transaction canceled by replacement").code).toBe(-32603);
+
+    const error = ProviderRpcError.from(
+      JSON.stringify({ code: 4100, message: "locked", data: { reason: "pin" } })
+    );
+    expect(error).toBeInstanceOf(ProviderRpcError.EthereumProviderError);
+    expect(error.toJSON()).toEqual({ code: 4100, message: "locked", data: { reason: "pin" } });
+  });
+
+  test("test cause", () => {
+    const native = JSON.stringify({ code: 4100, message: "locked" });
+    expect(ProviderRpcError.from(native).cause).toBe(native);
+    expect(ProviderRpcError.from("Canceled").cause).toBe("Canceled");
+
+    const thrown = new TypeError("Failed to fetch");
+    const error = ProviderRpcError.from(thrown);
+    expect(error.code).toBe(-32603);
+    expect(error.message).toBe("Failed to fetch");
+    expect(error.cause).toBe(thrown);
+    // stays on the js side
+    expect(error.toJSON()).toEqual({ code: -32603, message: "Failed to fetch" });
+    expect(ProviderRpcError.userRejected().cause).toBeUndefined();
+  });
+
+  test("test upstream error keeps code and data", async () => {
+    const revert = "0x08c379a00000000000000000000000000000000000000000000000000000000000000020";
+    window.fetch = () => Promise.resolve({
+      json: () => Promise.resolve({
+        jsonrpc: "2.0",
+        id: 1,
+        error: { code: 3, message: "execution reverted", data: revert },
+      }),
+    });
+
+    const rpc = new RPCServer("https://rpc.example");
+    await expect(rpc.call({ jsonrpc: "2.0", id: 1, method: "eth_call" })).rejects.toMatchObject({
+      code: 3,
+      message: "execution reverted",
+      data: revert,
+    });
+    delete window.fetch;
+  });
+
+  test("test sendError with native string", () => {
+    const provider = new Trust({ chainId: 1, rpcUrl: "", eip6963: false, bridge: "memory" });
+    const promise = provider.request({ method: "eth_requestAccounts" });
+    const message = provider.getBridge().messages[0];
+    provider.sendError(Number(message.id), "Canceled");
+
+    return expect(promise).rejects.toMatchObject({ code: 4001, message: "Canceled" });
+  });
+});
@@ -0,0 +1,102 @@
+// Copyright © 2017-2020 Trust Wallet.
+//
+// This file is part of Trust. The full Trust copyright notice, including
+// terms governing use, modification, and redistribution, is contained in the
+// file LICENSE at the root of the source code distribution tree.
+
+"use strict";
+
+require("../index");
+const Trust = window.Trust;
+
+class FakeRPCServer {
+  constructor() {
+    this.blockNumber = 100;
+    this.logs = [];
+  }
+
+  getBlockNumber() {
+    return Promise.resolve("0x" + this.blockNumber.toString(16));
+  }
+
+  getBlockByNumber(number) {
+    return Promise.resolve({ number: number, hash: "0xhash" + parseInt(number, 16) });
+  }
+
+  getFilterLogs(filter) {
+    this.lastFilter = filter;
+    return Promise.resolve(this.logs);
+  }
+}
+
+function createProvider() {
+  const provider = new Trust({ chainId: 1, rpcUrl: "", eip6963: false });
+  provider.rpc = new FakeRPCServer();
+  return provider;
+}
+
+describe("FilterManager tests", () => {
+  test("test eth_newBlockFilter", async () => {
+    const provider = createProvider();
+    const id = await provider.request({ method: "eth_newBlockFilter" });
+    expect(id).toBe("0x1");
+
+    expect(await provider.request({ method: "eth_getFilterChanges", params: [id] })).toEqual([]);
+
+    provider.rpc.blockNumber = 102;
+    expect(
+      await provider.request({ method: "eth_getFilterChanges", params: [id] })
+    ).toEqual(["0xhash101", "0xhash102"]);
+
+    expect(await provider.request({ method: "eth_uninstallFilter", params: [id] })).toBe(true);
+    await expect(
+      provider.request({ method: "eth_getFilterChanges", params: [id] })
+    ).rejects.toMatchObject({ code: -32000 });
+  });
+
+  test("test eth_newFilter", async () => {
+    const provider = createProvider();
+    const filter = { address: "0xdac17f958d2ee523a2206206994597c13d831ec7" };
+    const id = await provider.request({ method: "eth_newFilter", params: [filter] });
+
+    provider.rpc.blockNumber = 105;
+    provider.rpc.logs = [{ logIndex: "0x0" }];
+    const logs = await provider.request({ method: "eth_getFilterChanges", params: [id] });
+
+    expect(logs).toEqual([{ logIndex: "0x0" }]);
+    expect(provider.rpc.lastFilter).toEqual({
+      address: filter.address,
+      fromBlock: "0x65",
+      toBlock: "0x69",
+    });
+  });
+
+  test("test eth_subscribe newHeads", async () => {
+    const provider = createProvider();
+    const messages = [];
+    provider.on("message", (message) => messages.push(message));
+
+    const id = await provider.request({ method: "eth_subscribe", params: ["newHeads"] });
+    expect(provider.filters.timer).not.toBeNull();
+
+    provider.rpc.blockNumber = 101;
+    await provider.filters.poll();
+    expect(messages).toEqual([
+      {
+        type: "eth_subscription",
+        data: { subscription: id, result: { number: "0x65", hash: "0xhash101" } },
+      },
+    ]);
+
+    expect(await provider.request({ method: "eth_unsubscribe", params: [id] })).toBe(true);
+    expect(provider.filters.timer).toBeNull();
+  });
+
+  test("test reset on chain changed", async () => {
+    const provider = createProvider();
+    const id = await provider.request({ method: "eth_newBlockFilter" });
+
+    provider.setChain(56, "https://bsc-dataseed1.binance.org");
+    expect(provider.filters.filters.has(id)).toBeFalsy();
+  });
+});
@@ -0,0 +1,270 @@
+// Copyright © 2017-2020 Trust Wallet.
+//
+// This file is part of Trust. The full Trust copyright notice, including
+// terms governing use, modification, and redistribution, is contained in the
+// file LICENSE at the root of the source code distribution tree.
+
+"use strict";
+
+require("../index");
+const Trust = window.Trust;
+const { FrameHost, FrameClient } = require("../frames");
+
+const address = "0xcd2a3d9f938e13cd947ec05abc7fe734df8dd826";
+const other = "0x5aaeb6053f3e94c9b9a09f33669435e7ef1beaed";
+const embedded = "https://embedded.app";
+
+const config = { address: address, chainId: 1, rpcUrl: "https://mainnet.example", eip6963: false, bridge: "memory" };
+
+function flush() {
+  return new Promise((resolve) => setTimeout(resolve, 0));
+}
+
+// jsdom has no cross frame postMessage, wire a child provider to the top one by hand
+function embed(top, origin) {
+  const frame = { window: null, top: null, child: null };
+  frame.window = {
+    postMessage: jest.fn((message) => {
+      Promise.resolve().then(() => {
+        frame.child.frameClient.handleMessage({ data: message, source: frame.top, origin: window.location.origin });
+      });
+    }),
+  };
+  frame.top = {
+    postMessage: jest.fn((message) => {
+      Promise.resolve().then(() => top.frameHost.handleMessage({ data: message, source: frame.window, origin: origin }));
+    }),
+  };
+  const available = jest.spyOn(FrameClient, "isAvailable").mockReturnValue(true);
+  frame.child = new Trust(config);
+  available.mockRestore();
+  frame.child.frameClient.stop();
+  frame.child.frameClient.target = frame.top;
+  frame.child.frameClient.start();
+  return frame;
+}
+
+function responsesTo(frame) {
+  return frame.window.postMessage.mock.calls.map((call) => call[0]).filter((message) => message.type === "response");
+}
+
+describe("Frame routing tests", () => {
+  beforeEach(() => {
+    // jsdom has neither ancestorOrigins nor real frames
+    jest.spyOn(FrameClient, "targetOrigin").mockReturnValue(window.location.origin);
+    jest.spyOn(FrameHost, "isChildFrame").mockReturnValue(true);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("test frame requests carry the frame origin", async () => {
+    const top = new Trust(config);
+    const frame = embed(top, embedded);
+    await flush();
+
+    expect(frame.child.frameClient.frameId).toBe(1);
+    expect(frame.child.isConnected()).toBe(true);
+    // accounts are authorized per origin, the frame doesn't see the page's
+    expect(frame.child.eth_accounts()).toEqual([]);
+    await expect(frame.child.request({ method: "eth_accounts" })).resolves.toEqual([]);
+
+    const accountsChanged = jest.fn();
+    frame.child.on("accountsChanged", accountsChanged);
+    const accounts = frame.child.request({ method: "eth_requestAccounts" });
+    await flush();
+
+    const message = top.getBridge().messages[0];
+    expect(message.name).toBe("requestAccounts");
+    expect(message.dapp).toMatchObject({ origin: embedded, frameId: 1, topOrigin: window.location.origin });
+    expect(top.getPendingRequests().length).toBe(1);
+
+    top.sendResponse(Number(message.id), [other]);
+    await expect(accounts).resolves.toEqual([other]);
+    await flush();
+    expect(accountsChanged).toHaveBeenCalledWith([other]);
+    expect(frame.child.address).toBe(other);
+    expect(top.eth_accounts()).toEqual([address]);
+    expect(top.getAccounts(embedded)).toEqual([other]);
+  });
+
+  test("test frames cancel their requests", async () => {
+    const top = new Trust(config);
+    const frame = embed(top, embedded);
+    await flush();
+
+    const controller = new AbortController();
+    const accounts = frame.child.request({ method: "eth_requestAccounts" }, { signal: controller.signal });
+    await flush();
+    expect(top.getPendingRequests().length).toBe(1);
+
+    controller.abort();
+    await expect(accounts).rejects.toThrow("aborted");
+    await flush();
+    expect(top.getPendingRequests()).toEqual([]);
+    const messages = top.getBridge().messages;
+    expect(messages[messages.length - 1]).toMatchObject({ name: "cancelRequest", payload: { id: messages[0].id } });
+
+    // navigating away drops what's left
+    frame.child.request({ method: "personal_sign", params: ["0x48656c6c6f", address] });
+    await flush();
+    expect(top.getPendingRequests().length).toBe(1);
+    top.frameHost.handleMessage({ data: { channel: FrameHost.channel, type: "hello" }, source: frame.window, origin: embedded });
+    expect(top.getPendingRequests()).toEqual([]);
+  });
+
+  test("test responses only reach the requesting frame", async () => {
+    const top = new Trust(config);
+    const first = embed(top, embedded);
+    const second = embed(top, "https://widget.app");
+    await flush();
+
+    await Promise.all([
+      expect(first.child.request({ method: "eth_accounts" })).resolves.toEqual([]),
+      expect(second.child.request({ method: "eth_chainId" })).resolves.toBe("0x1"),
+    ]);
+    await flush();
+    expect(responsesTo(first).length).toBe(1);
+    expect(responsesTo(second).length).toBe(1);
+    expect(responsesTo(second)[0]).toMatchObject({ result: "0x1", frameId: 2 });
+    expect(top.getBridge().messages.length).toBe(0);
+  });
+
+  test("test page's own requests keep their envelope", () => {
+    const top = new Trust(config);
+    top.request({ method: "personal_sign", params: ["Hello Trust", address] });
+
+    const dapp = top.getBridge().messages[0].dapp;
+    expect(dapp).toMatchObject({ origin: window.location.origin, frameId: 0 });
+    expect(dapp.topOrigin).toBeUndefined();
+  });
+
+  test("test chain and connection changes reach frames", async () => {
+    const top = new Trust(config);
+    const frame = embed(top, embedded);
+    await flush();
+
+    const chainChanged = jest.fn();
+    const disconnect = jest.fn();
+    frame.child.on("chainChanged", chainChanged);
+    frame.child.on("disconnect", disconnect);
+    top.setChain(56, "https://bsc.example");
+    top.setConnectionState(Trust.ConnectionState.chainDisconnected, new Error("bsc is down"));
+    await flush();
+
+    expect(chainChanged).toHaveBeenCalledWith("0x38");
+    expect(frame.child.networkVersion).toBe("56");
+    expect(frame.child.connectionState).toBe(Trust.ConnectionState.chainDisconnected);
+    expect(disconnect.mock.calls[0][0].message).toBe("bsc is down");
+
+    // the top frame's rpc urls stay there, reads for a chain the frame doesn't know go through the top frame
+    const messages = frame.window.postMessage.mock.calls.map((call) => call[0]);
+    messages.forEach((message) => expect(message.rpcUrls).toBeUndefined());
+    expect(messages.filter((message) => message.event === "chainChanged")[0].data).toEqual({ chainId: "0x38" });
+    expect(frame.child.rpc.rpcUrl).not.toBe("https://bsc.example");
+    expect(frame.child.frameClient.handles("eth_blockNumber")).toBe(true);
+    expect(frame.child.frameClient.handles("eth_newFilter")).toBe(false);
+    top.rpc = { call: (payload) => Promise.resolve({ jsonrpc: "2.0", id: payload.id, result: "0x99" }) };
+    const batch = await frame.child.request([{ jsonrpc: "2.0", id: "a", method: "eth_blockNumber", params: [] }]);
+    expect(batch).toEqual([{ jsonrpc: "2.0", id: "a", result: "0x99" }]);
+
+    top.setChain(1, "https://mainnet.example");
+    await flush();
+    expect(frame.child.rpc.rpcUrl).toBe("https://mainnet.example");
+    expect(frame.child.frameClient.handles("eth_blockNumber")).toBe(false);
+  });
+
+  test("test only child frames are served", () => {
+    FrameHost.isChildFrame.mockRestore();
+    const top = new Trust(config);
+    const source = { postMessage: jest.fn() };
+    top.frameHost.handleMessage({ data: { channel: FrameHost.channel, type: "hello" }, source: source, origin: embedded });
+
+    expect(source.postMessage).not.toHaveBeenCalled();
+    expect(top.frameHost.list()).toEqual([]);
+
+    const nested = { frames: [] };
+    const tree = { frames: [{ frames: [] }, { frames: [nested] }] };
+    expect(FrameHost.isChildFrame(nested, tree)).toBe(true);
+    expect(FrameHost.isChildFrame(source, tree)).toBe(false);
+    expect(FrameHost.isChildFrame(window)).toBe(false);
+  });
+
+  test("test failed frame messages are only logged in debug mode", () => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    const top = new Trust(config);
+    const source = {
+      postMessage: () => {
+        throw new Error("frame is gone");
+      },
+    };
+    top.frameHost.handleMessage({ data: { channel: FrameHost.channel, type: "hello" }, source: source, origin: embedded });
+    expect(console.log).not.toHaveBeenCalled();
+
+    top.isDebug = true;
+    top.frameHost.handleMessage({ data: { channel: FrameHost.channel, type: "hello" }, source: source, origin: embedded });
+    expect(console.log).toHaveBeenCalledWith("<== frame message failed Error: frame is gone");
+  });
+
+  test("test sandboxed frames aren't answered", () => {
+    const top = new Trust(config);
+    const source = { postMessage: jest.fn() };
+    top.frameHost.handleMessage({ data: { channel: FrameHost.channel, type: "hello" }, source: source, origin: "null" });
+    top.frameHost.handleMessage({
+      data: { channel: FrameHost.channel, type: "request", id: 7, payload: { method: "eth_accounts" } },
+      source: source,
+      origin: "null",
+    });
+
+    expect(source.postMessage).not.toHaveBeenCalled();
+    expect(top.frameHost.list()).toEqual([]);
+  });
+
+  test("test frames without a known top origin don't connect", () => {
+    FrameClient.targetOrigin.mockReturnValue(null);
+    const available = jest.spyOn(FrameClient, "isAvailable").mockReturnValue(true);
+    const child = new Trust(config);
+    available.mockRestore();
+    child.frameClient.stop();
+    child.frameClient.target = { postMessage: jest.fn() };
+    child.frameClient.start();
+
+    expect(child.connectionState).toBe(Trust.ConnectionState.disconnected);
+    expect(child.frameClient.target.postMessage).not.toHaveBeenCalled();
+    return expect(child.request({ method: "eth_requestAccounts" })).rejects.toMatchObject({ code: 4900 });
+  });
+
+  test("test requests from frames that didn't say hello", () => {
+    const top = new Trust(config);
+    const source = { postMessage: jest.fn() };
+    top.frameHost.handleMessage({
+      data: { channel: FrameHost.channel, type: "request", id: 7, payload: { method: "eth_accounts" } },
+      source: source,
+      origin: embedded,
+    });
+
+    expect(source.postMessage).toHaveBeenCalledWith(
+      expect.objectContaining({ type: "response", id: 7, error: expect.objectContaining({ code: 4900 }) }),
+      embedded
+    );
+    expect(top.frameHost.list()).toEqual([]);
+  });
+
+  test("test top frame without a provider", () => {
+    jest.useFakeTimers();
+    const available = jest.spyOn(FrameClient, "isAvailable").mockReturnValue(true);
+    const child = new Trust(config);
+    available.mockRestore();
+    child.frameClient.stop();
+    child.frameClient.target = { postMessage: jest.fn() };
+    child.frameClient.start();
+
+    const accounts = child.request({ method: "eth_requestAccounts" });
+    jest.advanceTimersByTime(3000);
+    jest.useRealTimers();
+
+    expect(child.connectionState).toBe(Trust.ConnectionState.disconnected);
+    return expect(accounts).rejects.toMatchObject({ code: 4900 });
+  });
+});
@@ -0,0 +1,114 @@
+// Copyright © 2017-2020 Trust Wallet.
+//
+// This file is part of Trust. The full Trust copyright notice, including
+// terms governing use, modification, and redistribution, is contained in the
+// file LICENSE at the root of the source code distribution tree.
+
+"use strict";
+
+require("../index");
+const Trust = window.Trust;
+const LegacyWeb3 = require("../legacy_web3");
+
+const address = "0xcd2a3d9f938e13cd947ec05abc7fe734df8dd826";
+
+function createWeb3() {
+  const provider = new Trust({ address: address, chainId: 56, rpcUrl: "", eip6963: false, bridge: "memory" });
+  return { provider: provider, web3: new window.Web3(provider) };
+}
+
+function telemetry(provider) {
+  return provider
+    .getBridge()
+    .messages.filter((message) => message.name === "legacyWeb3")
+    .map((message) => message.payload);
+}
+
+describe("Legacy web3 shim tests", () => {
+  beforeEach(() => {
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.warn.mockRestore();
+  });
+
+  test("test window.Web3 is the shim", () => {
+    const { provider, web3 } = createWeb3();
+
+    expect(window.Web3).toBe(LegacyWeb3);
+    expect(web3.currentProvider).toBe(provider);
+    expect(web3.__isTrustShim__).toBe(true);
+    // bring your own library, the legit use, isn't reported
+    expect(telemetry(provider)).toEqual([]);
+    expect(console.warn).not.toHaveBeenCalled();
+  });
+
+  test("test sync getters", () => {
+    const { provider, web3 } = createWeb3();
+
+    expect(web3.eth.accounts).toEqual([address]);
+    expect(web3.eth.coinbase).toBe(address);
+    expect(web3.eth.defaultAccount).toBe(address);
+    expect(web3.version.network).toBe("56");
+
+    web3.eth.defaultAccount = "0x5aaeb6053f3e94c9b9a09f33669435e7ef1beaed";
+    expect(web3.eth.defaultAccount).toBe("0x5aaeb6053f3e94c9b9a09f33669435e7ef1beaed");
+    provider.setAddress("");
+    expect(web3.eth.accounts).toEqual([]);
+  });
+
+  test("test callbacks", (done) => {
+    const { web3 } = createWeb3();
+
+    web3.eth.getAccounts((error, accounts) => {
+      expect(error).toBeNull();
+      expect(accounts).toEqual([address]);
+      web3.version.getNetwork((error, network) => {
+        expect(network).toBe("56");
+        done();
+      });
+    });
+  });
+
+  test("test deprecation telemetry", () => {
+    const { provider, web3 } = createWeb3();
+
+    web3.eth.accounts;
+    web3.eth.accounts;
+    web3.eth.contract;
+    web3.toWei;
+    web3.isConnected();
+
+    expect(telemetry(provider)).toEqual([
+      { property: "web3.eth", supported: true },
+      { property: "web3.eth.accounts", supported: true },
+      { property: "web3.eth.contract", supported: false },
+      { property: "web3.toWei", supported: false },
+      { property: "web3.isConnected", supported: true },
+    ]);
+    // every page touching window.web3 gets here, the console stays quiet outside debug mode
+    expect(console.warn).not.toHaveBeenCalled();
+    expect(provider.isConnected()).toBe(false);
+
+    provider.isDebug = true;
+    const debugged = new window.Web3(provider);
+    debugged.eth.coinbase;
+    debugged.eth.coinbase;
+    expect(console.warn).toHaveBeenCalledTimes(1);
+  });
+
+  test("test telemetry without a native bridge", () => {
+    const provider = new Trust({ address: address, chainId: 1, rpcUrl: "", eip6963: false });
+    const web3 = new LegacyWeb3(provider);
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    provider.getBridge = () => {
+      throw new Error("no bridge");
+    };
+
+    expect(web3.eth.coinbase).toBe(address);
+    expect(provider.connectionState).toBe(Trust.ConnectionState.connecting);
+    expect(console.log).not.toHaveBeenCalled();
+    console.log.mockRestore();
+  });
+});
@@ -0,0 +1,165 @@
+// Copyright © 2017-2020 Trust Wallet.
+//
+// This file is part of Trust. The full Trust copyright notice, including
+// terms governing use, modification, and redistribution, is contained in the
+// file LICENSE at the root of the source code distribution tree.
+
+"use strict";
+
+require("../index");
+const Trust = window.Trust;
+const DappMetadata = require("../metadata");
+
+const address = "0xcd2a3d9f938e13cd947ec05abc7fe734df8dd826";
+
+function page(head) {
+  document.head.innerHTML = head;
+}
+
+describe("Dapp metadata tests", () => {
+  afterEach(() => {
+    document.head.innerHTML = "";
+    delete global.fetch;
+    window.history.replaceState(null, "", "/");
+  });
+
+  test("test title, description and og tags", () => {
+    page(`
+      <title>  Uniswap Interface </title>
+      <meta name="description" content="Swap or provide liquidity">
+      <meta property="og:site_name" content="Uniswap">
+      <meta property="og:image" content="https://app.uniswap.org/images/1200x630_Rich_Link_Preview_Image.png">
+    `);
+
+    expect(new DappMetadata(document).collect()).toEqual({
+      icon: "http://localhost/favicon.ico",
+      name: "Uniswap",
+      title: "Uniswap Interface",
+      description: "Swap or provide liquidity",
+      og: {
+        site_name: "Uniswap",
+        image: "https://app.uniswap.org/images/1200x630_Rich_Link_Preview_Image.png",
+      },
+    });
+  });
+
+  test("test best icon", () => {
+    const icon = (head) => {
+      page(head);
+      return DappMetadata.bestIcon(DappMetadata.documentIcons(document));
+    };
+
+    expect(icon(`
+      <link rel="shortcut icon" href="/favicon.ico">
+      <link rel="icon" sizes="32x32" href="/32.png">
+      <link rel="apple-touch-icon" href="/apple.png">
+      <link rel="icon" sizes="512x512" href="/512.png">
+    `)).toBe("http://localhost/512.png");
+    // the smallest one covering the sheet wins over bigger ones
+    expect(icon(`
+      <link rel="icon" sizes="1024x1024" href="/1024.png">
+      <link rel="icon" sizes="192x192 256x256" href="/256.png">
+      <link rel="apple-touch-icon" href="/apple.png">
+    `)).toBe("http://localhost/256.png");
+    expect(icon(`
+      <link rel="icon" sizes="16x16" href="/16.png">
+      <link rel="apple-touch-icon-precomposed" href="/apple.png">
+    `)).toBe("http://localhost/apple.png");
+    expect(icon(`
+      <link rel="icon" sizes="512x512" href="/512.png">
+      <link rel="icon" type="image/svg+xml" href="/logo">
+      <link rel="mask-icon" href="/mask.svg">
+    `)).toBe("http://localhost/logo");
+  });
+
+  test("test web app manifest", async () => {
+    page(`
+      <title>Home</title>
+      <link rel="icon" sizes="32x32" href="/32.png">
+      <link rel="manifest" href="/static/manifest.json">
+    `);
+    global.fetch = jest.fn(() =>
+      Promise.resolve({
+        ok: true,
+        json: () =>
+          Promise.resolve({
+            name: "Curve Finance",
+            short_name: "Curve",
+            icons: [
+              { src: "icons/192.png", sizes: "192x192", type: "image/png" },
+              { src: "icons/mono.svg", sizes: "any", purpose: "monochrome" },
+            ],
+          }),
+      })
+    );
+    const metadata = new DappMetadata(document);
+
+    expect(metadata.collect().name).toBe("Home");
+    await metadata.loadManifest();
+    expect(metadata.collect()).toMatchObject({
+      name: "Curve Finance",
+      title: "Home",
+      icon: "http://localhost/static/icons/192.png",
+    });
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+    expect(global.fetch.mock.calls[0][0]).toBe("http://localhost/static/manifest.json");
+  });
+
+  test("test failed manifest is only logged in debug mode", async () => {
+    page("<title>Home</title><link rel='manifest' href='/static/manifest.json'>");
+    global.fetch = jest.fn(() => Promise.reject(new TypeError("Failed to fetch")));
+    jest.spyOn(console, "log").mockImplementation(() => {});
+
+    await new DappMetadata(document).loadManifest();
+    expect(console.log).not.toHaveBeenCalled();
+    await new DappMetadata(document, true).loadManifest();
+    expect(console.log).toHaveBeenCalledWith("<== manifest failed TypeError: Failed to fetch");
+    console.log.mockRestore();
+  });
+
+  test("test cache per page", () => {
+    page("<title>First</title>");
+    const metadata = new DappMetadata(document);
+    const first = metadata.collect();
+
+    document.title = "Changed";
+    expect(metadata.collect()).toBe(first);
+
+    window.history.pushState(null, "", "/swap");
+    expect(metadata.collect().title).toBe("Changed");
+  });
+
+  test("test sanitize frame metadata", () => {
+    expect(DappMetadata.sanitize(null)).toEqual({});
+    expect(DappMetadata.sanitize({
+      origin: "https://app.uniswap.org",
+      icon: "data:image/png;base64," + "A".repeat(10000),
+      name: "  Uniswap  ",
+      title: 42,
+      description: "x".repeat(400),
+      og: { title: "Uniswap", script: "alert(1)" },
+    })).toEqual({
+      name: "Uniswap",
+      description: "x".repeat(300),
+      og: { title: "Uniswap" },
+    });
+  });
+
+  test("test native envelope", () => {
+    page(`
+      <title>Trust</title>
+      <link rel="icon" type="image/svg+xml" href="/logo.svg">
+    `);
+    const provider = new Trust({ address: address, chainId: 1, rpcUrl: "", eip6963: false, bridge: "memory" });
+    provider.request({ method: "personal_sign", params: ["Hello Trust", address] });
+
+    expect(provider.getBridge().messages[0].dapp).toEqual({
+      origin: "http://localhost",
+      frameId: 0,
+      icon: "http://localhost/logo.svg",
+      name: "Trust",
+      title: "Trust",
+      og: {},
+    });
+  });
+});
@@ -0,0 +1,256 @@
+// Copyright © 2017-2020 Trust Wallet.
+//
+// This file is part of Trust. The full Trust copyright notice, including
+// terms governing use, modification, and redistribution, is contained in the
+// file LICENSE at the root of the source code distribution tree.
+
+"use strict";
+
+require("../index");
+const Trust = window.Trust;
+const RequestEngine = require("../engine");
+const IdMapping = require("../id_mapping");
+const {
+  createLoggerMiddleware,
+  createIdMappingMiddleware,
+  createWalletMiddleware,
+  createProxyMiddleware,
+} = require("../middlewares");
+
+const address = "0xcd2a3d9f938e13cd947ec05abc7fe734df8dd826";
+const mainnet = { address: address, chainId: 1, rpcUrl: "https://mainnet.example", eip6963: false, bridge: "memory" };
+
+// answers through sendResponse / sendError like the provider, without a bridge
+function fakeProvider(options = {}) {
+  const callbacks = new Map();
+  return Object.assign(
+    {
+      callbacks: callbacks,
+      pending: { remove: (id) => callbacks.delete(id) },
+      awaitResponse: (req, callback) => callbacks.set(req.id, callback),
+      sendResponse: (id, result) => callbacks.get(id)(null, result),
+      sendError: (id, error) => callbacks.get(id)(error, null),
+    },
+    options
+  );
+}
+
+describe("Request engine tests", () => {
+  test("test order and return handlers", async () => {
+    const calls = [];
+    const engine = new RequestEngine([
+      (req, res, next) => {
+        calls.push("first");
+        next((done) => {
+          calls.push("first returned");
+          done();
+        });
+      },
+      (req, res, next) => {
+        calls.push("second");
+        next((done) => {
+          res.result += 1;
+          calls.push("second returned");
+          done();
+        });
+      },
+      (req, res, next, end) => {
+        calls.push("last");
+        res.result = 41;
+        end();
+      },
+    ]);
+
+    const res = await engine.handle({ id: 1, method: "eth_blockNumber" });
+    expect(res).toEqual({ jsonrpc: "2.0", id: 1, result: 42 });
+    expect(calls).toEqual(["first", "second", "last", "second returned", "first returned"]);
+  });
+
+  test("test errors", async () => {
+    const handle = (middleware) => new RequestEngine([middleware]).handle({ id: 1, method: "eth_foo" });
+
+    expect((await new RequestEngine().handle({ id: 1, method: "eth_foo" })).error.code).toBe(-32601);
+    expect((await handle((req, res, next, end) => end(new Error("boom")))).error.message).toBe("boom");
+    expect((await handle(() => {
+      throw new Error("thrown");
+    })).error.message).toBe("thrown");
+    expect((await handle(() => Promise.reject({ code: 4100, message: "nope" }))).error.code).toBe(4100);
+    // ending without a result is a bug of the middleware
+    expect((await handle((req, res, next, end) => end())).error.code).toBe(-32603);
+    expect(() => new RequestEngine().push({})).toThrow(TypeError);
+  });
+
+  test("test next and end only count once", async () => {
+    const reached = jest.fn();
+    const engine = new RequestEngine([
+      (req, res, next, end) => {
+        res.result = "0x1";
+        end();
+        end(new Error("late"));
+        next();
+      },
+      reached,
+    ]);
+
+    expect(await engine.handle({ id: 1, method: "eth_chainId" })).toEqual({ jsonrpc: "2.0", id: 1, result: "0x1" });
+    expect(reached).not.toHaveBeenCalled();
+  });
+});
+
+describe("Provider middlewares tests", () => {
+  test("test id mapping", async () => {
+    const idMapping = new IdMapping();
+    const seen = [];
+    const engine = new RequestEngine([
+      createIdMappingMiddleware(idMapping),
+      (req, res, next, end) => {
+        seen.push(req.id);
+        res.result = "0x1";
+        end();
+      },
+    ]);
+
+    const res = await engine.handle({ id: "request-1", method: "eth_chainId" });
+    expect(typeof seen[0]).toBe("number");
+    expect(res.id).toBe("request-1");
+    expect(idMapping.intIds.size).toBe(0);
+
+    // no id of its own, a generated one instead of the internal counter
+    const anonymous = await engine.handle({ method: "eth_chainId" });
+    expect(anonymous.id).toBeGreaterThan(1000000);
+    expect(anonymous.id).not.toBe(seen[1]);
+  });
+
+  test("test wallet methods", async () => {
+    const provider = fakeProvider();
+    const engine = new RequestEngine([
+      createWalletMiddleware(provider, {
+        eth_chainId: (provider, payload) => provider.sendResponse(payload.id, "0x1"),
+        personal_sign: () => {},
+      }),
+      (req, res, next, end) => end(new Error(`${req.method} went upstream`)),
+    ]);
+
+    expect((await engine.handle({ id: 1, method: "eth_chainId" })).result).toBe("0x1");
+    expect((await engine.handle({ id: 2, method: "toString" })).error.message).toBe("toString went upstream");
+
+    // answered later, like native does
+    const signed = engine.handle({ id: 3, method: "personal_sign" });
+    provider.sendError(3, "Canceled");
+    expect((await signed).error.code).toBe(4001);
+  });
+
+  test("test throwing wallet methods", async () => {
+    const provider = fakeProvider();
+    const engine = new RequestEngine([
+      createWalletMiddleware(provider, {
+        eth_sign: () => {
+          throw new Error("bad params");
+        },
+      }),
+    ]);
+
+    const res = await engine.handle({ id: 1, method: "eth_sign" });
+    expect(res.error.message).toBe("bad params");
+    expect(provider.callbacks.size).toBe(0);
+  });
+
+  test("test proxy rpc and logger", async () => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    const provider = fakeProvider({ isProxyRPC: false, isDebug: true });
+    provider.wallet_rpcCall = (payload) => provider.sendResponse(payload.id, "0x10");
+    const engine = new RequestEngine([
+      createLoggerMiddleware(provider),
+      createProxyMiddleware(provider),
+      (req, res, next, end) => {
+        res.result = "upstream";
+        end();
+      },
+    ]);
+
+    expect((await engine.handle({ id: 1, method: "eth_blockNumber" })).result).toBe("upstream");
+    provider.isProxyRPC = true;
+    expect((await engine.handle({ id: 2, method: "eth_blockNumber" })).result).toBe("0x10");
+    expect(console.log.mock.calls.map((call) => call[0].slice(0, 17))).toEqual([
+      "==> rpc request {",
+      "<== rpc response ",
+      "==> rpc request {",
+      "<== rpc response ",
+    ]);
+    console.log.mockRestore();
+  });
+
+  test("test host middlewares from config", async () => {
+    const origins = [];
+    const provider = new Trust(
+      Object.assign(
+        {
+          middlewares: [
+            (req, res, next) => {
+              origins.push(req.origin);
+              next();
+            },
+            (req, res, next, end) => {
+              if (req.method !== "eth_blockNumber") {
+                return next();
+              }
+              res.result = "0x100";
+              end();
+            },
+          ],
+        },
+        mainnet
+      )
+    );
+
+    expect(await provider.request({ method: "eth_blockNumber" })).toBe("0x100");
+    expect(await provider.request({ method: "eth_accounts" })).toEqual([address]);
+    const responses = await provider.request([
+      { jsonrpc: "2.0", id: "a", method: "eth_blockNumber" },
+      { jsonrpc: "2.0", id: "b", method: "eth_chainId" },
+    ]);
+    expect(responses).toEqual([
+      { jsonrpc: "2.0", id: "a", result: "0x100" },
+      { jsonrpc: "2.0", id: "b", result: "0x1" },
+    ]);
+    expect(origins).toEqual(["http://localhost", "http://localhost", "http://localhost", "http://localhost"]);
+  });
+
+  test("test engine failures still answer the caller", async () => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    const provider = new Trust(mainnet);
+    provider.engine = { handle: () => Promise.reject(new Error("boom")) };
+
+    await expect(provider.request({ method: "eth_chainId" })).rejects.toMatchObject({
+      code: -32603,
+      message: "Request eth_chainId failed: boom",
+    });
+    console.log.mockRestore();
+  });
+
+  test("test use", async () => {
+    const provider = new Trust(mainnet);
+    provider.use((req, res, next, end) => {
+      if (req.method === "eth_sign") {
+        return end({ code: 4200, message: "eth_sign is disabled" });
+      }
+      next();
+    });
+
+    await expect(provider.request({ method: "eth_sign", params: [address, "0x00"] })).rejects.toMatchObject({
+      code: 4200,
+    });
+    expect(provider.getBridge().messages).toEqual([]);
+    expect(provider.getPendingRequests()).toEqual([]);
+
+    // the rest still reaches native, the dapp's payload stays untouched
+    const payload = { id: "sign", method: "personal_sign", params: ["0x48656c6c6f", address] };
+    const signed = provider.request(payload);
+    const message = provider.getBridge().messages[0];
+    expect(message.name).toBe("signPersonalMessage");
+    expect(message.payload.origin).toBeUndefined();
+    provider.sendResponse(Number(message.id), "0x1234");
+    expect(await signed).toBe("0x1234");
+    expect(payload.id).toBe("sign");
+  });
+});
@@ -0,0 +1,125 @@
+// Copyright © 2017-2020 Trust Wallet.
+//
+// This file is part of Trust. The full Trust copyright notice, including
+// terms governing use, modification, and redistribution, is contained in the
+// file LICENSE at the root of the source code distribution tree.
+
+"use strict";
+
+require("../index");
+const Trust = window.Trust;
+
+const mainnet = {
+  address: "0x9d8A62f656a8d1615C1294fd71e9CFb3E4855A4F",
+  chainId: 1,
+  rpcUrl: "https://mainnet.infura.io/v3/6e822818ec644335be6f0ed231f48310",
+  eip6963: false,
+  bridge: "memory",
+};
+
+const signRequest = {
+  method: "personal_sign",
+  params: ["0x48656c6c6f", mainnet.address],
+};
+
+describe("Pending requests tests", () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test("test timeout", () => {
+    jest.useFakeTimers();
+    const provider = new Trust(Object.assign({ timeouts: { personal_sign: 1000 } }, mainnet));
+    const promise = provider.request(signRequest);
+    expect(provider.getPendingRequests().length).toBe(1);
+
+    jest.advanceTimersByTime(1000);
+    expect(provider.getPendingRequests().length).toBe(0);
+    // native is asked to dismiss the sheet
+    const messages = provider.getBridge().messages;
+    expect(messages[messages.length - 1].name).toBe("cancelRequest");
+
+    return expect(promise).rejects.toMatchObject({ code: -32603 });
+  });
+
+  test("test abort signal", () => {
+    const provider = new Trust(mainnet);
+    const controller = new AbortController();
+    const promise = provider.request(signRequest, { signal: controller.signal });
+
+    controller.abort();
+    expect(provider.getPendingRequests()).toEqual([]);
+    return expect(promise).rejects.toThrow("aborted");
+  });
+
+  test("test reject pending on account change", () => {
+    const provider = new Trust(Object.assign({}, mainnet, { address: "" }));
+    const sign = provider.request(signRequest);
+    provider.request({ method: "eth_requestAccounts" });
+
+    provider.setConfig(Object.assign({}, mainnet, { address: "0x5aaeb6053f3e94c9b9a09f33669435e7ef1beaed" }));
+    const pending = provider.getPendingRequests();
+    expect(pending.map((request) => request.method)).toEqual(["eth_requestAccounts"]);
+    expect(pending[0].native).toBeTruthy();
+
+    return expect(sign).rejects.toMatchObject({ code: 4100 });
+  });
+
+  test("test response after settle is ignored", () => {
+    const provider = new Trust(mainnet);
+    const promise = provider.request(signRequest);
+    const id = Number(provider.getBridge().messages[0].id);
+
+    provider.rejectPendingRequests();
+    provider.sendResponse(id, "0x");
+    return expect(promise).rejects.toMatchObject({ code: 4001 });
+  });
+
+  test("test failing result transform rejects the request", () => {
+    const provider = new Trust(mainnet);
+    const promise = provider.request(signRequest);
+    const id = Number(provider.getBridge().messages[0].id);
+    provider.onResult(id, () => {
+      throw new Error("malformed result");
+    });
+
+    expect(() => provider.sendResponse(id, "0x")).not.toThrow();
+    expect(provider.getPendingRequests()).toEqual([]);
+    return expect(promise).rejects.toMatchObject({ code: -32603, message: "malformed result" });
+  });
+
+  test("test parallel requests with the same id", async () => {
+    // the node answers last request first
+    const answers = [];
+    window.fetch = jest.fn((url, options) => new Promise((resolve) => {
+      const body = JSON.parse(options.body);
+      answers.unshift(() => resolve({ json: () => Promise.resolve({ jsonrpc: "2.0", id: body.id, result: body.params[0] }) }));
+    }));
+    const provider = new Trust(Object.assign({ rpcCache: false }, mainnet));
+    const addresses = Array.from({ length: 50 }, (_, i) => "0x" + (i + 1).toString(16).padStart(40, "0"));
+
+    const balances = Promise.all(
+      addresses.map((address) => provider.request({ id: 1, method: "eth_getBalance", params: [address, "latest"] }))
+    );
+    const wrapped = new Promise((resolve) => {
+      provider.sendAsync({ jsonrpc: "2.0", id: 1, method: "eth_getBalance", params: ["0xff", "latest"] }, (error, response) =>
+        resolve(response)
+      );
+    });
+    // reads don't wait in the registry native answers through
+    expect(provider.getPendingRequests()).toEqual([]);
+    answers.forEach((answer) => answer());
+
+    expect(await balances).toEqual(addresses);
+    expect(await wrapped).toEqual({ jsonrpc: "2.0", id: 1, result: "0xff" });
+
+    const first = provider.request(Object.assign({ id: "sign" }, signRequest));
+    const second = provider.request(Object.assign({ id: "sign" }, signRequest));
+    const ids = provider.getBridge().messages.map((message) => Number(message.id));
+    expect(new Set(ids).size).toBe(2);
+    provider.sendResponse(ids[1], "0x02");
+    provider.sendResponse(ids[0], "0x01");
+    expect(await Promise.all([first, second])).toEqual(["0x01", "0x02"]);
+    delete window.fetch;
+  });
+});
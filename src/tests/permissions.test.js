@@ -0,0 +1,122 @@
+// Copyright © 2017-2020 Trust Wallet.
+//
+// This file is part of Trust. The full Trust copyright notice, including
+// terms governing use, modification, and redistribution, is contained in the
+// file LICENSE at the root of the source code distribution tree.
+
+"use strict";
+
+require("../index");
+const Trust = window.Trust;
+
+const address = "0x9d8a62f656a8d1615c1294fd71e9cfb3e4855a4f";
+const origin = window.location.origin;
+
+const config = {
+  address: address,
+  chainId: 1,
+  rpcUrl: "",
+  eip6963: false,
+  bridge: "memory",
+};
+
+const accountsPermission = {
+  parentCapability: "eth_accounts",
+  caveats: [{ type: "restrictReturnedAccounts", value: [address] }],
+};
+
+describe("Permissions tests", () => {
+  test("test accounts are gated without permission", async () => {
+    const provider = new Trust(Object.assign({ permissions: {} }, config));
+
+    expect(await provider.request({ method: "eth_accounts" })).toEqual([]);
+    expect(await provider.request({ method: "eth_coinbase" })).toBeNull();
+    expect(await provider.request({ method: "wallet_getPermissions" })).toEqual([]);
+    expect(provider.selectedAddress).toBe("");
+  });
+
+  test("test seeded permissions", async () => {
+    const provider = new Trust(Object.assign({ permissions: { [origin]: [accountsPermission] } }, config));
+
+    expect(await provider.request({ method: "eth_accounts" })).toEqual([address]);
+    const permissions = await provider.request({ method: "wallet_getPermissions" });
+    expect(permissions.length).toBe(1);
+    expect(permissions[0].parentCapability).toBe("eth_accounts");
+    expect(permissions[0].caveats).toEqual(accountsPermission.caveats);
+  });
+
+  test("test requestPermissions goes to native", async () => {
+    const provider = new Trust(Object.assign({ permissions: {} }, config));
+    const changes = [];
+    provider.on("accountsChanged", (accounts) => changes.push(accounts));
+
+    const request = provider.request({ method: "wallet_requestPermissions", params: [{ eth_accounts: {} }] });
+    const message = provider.getBridge().messages[0];
+    expect(message.name).toBe("requestPermissions");
+    provider.sendResponse(Number(message.id), [accountsPermission]);
+
+    const permissions = await request;
+    expect(permissions[0].parentCapability).toBe("eth_accounts");
+    expect(changes).toEqual([[address]]);
+
+    // already granted, answered locally
+    await provider.request({ method: "wallet_requestPermissions", params: [{ eth_accounts: {} }] });
+    expect(provider.getBridge().messages.length).toBe(1);
+  });
+
+  test("test revoke emits accountsChanged", () => {
+    const provider = new Trust(config);
+    const changes = [];
+    provider.on("accountsChanged", (accounts) => changes.push(accounts));
+
+    provider.request({ method: "wallet_revokePermissions", params: [{ eth_accounts: {} }] });
+    expect(changes).toEqual([[]]);
+    expect(provider.eth_accounts()).toEqual([]);
+    expect(provider.getBridge().messages[0].name).toBe("revokePermissions");
+  });
+
+  test("test revoked origins stay revoked across setConfig", async () => {
+    const provider = new Trust(config);
+    provider.request({ method: "wallet_revokePermissions", params: [{ eth_accounts: {} }] });
+
+    // native follows a chain switch
+    provider.setConfig(Object.assign({}, config, { chainId: 56 }));
+    expect(await provider.request({ method: "eth_accounts" })).toEqual([]);
+
+    // reconnecting grants them again
+    const accounts = provider.request({ method: "eth_requestAccounts" });
+    const message = provider.getBridge().messages[1];
+    expect(message.name).toBe("requestAccounts");
+    provider.sendResponse(Number(message.id), [address]);
+    expect(await accounts).toEqual([address]);
+    provider.setConfig(Object.assign({}, config, { chainId: 1 }));
+    expect(await provider.request({ method: "eth_accounts" })).toEqual([address]);
+  });
+
+  test("test setPermissions from native", () => {
+    const provider = new Trust(config);
+    const changes = [];
+    provider.on("accountsChanged", (accounts) => changes.push(accounts));
+
+    provider.setPermissions([]);
+    expect(changes).toEqual([[]]);
+    provider.setPermissions([accountsPermission]);
+    expect(changes).toEqual([[], [address]]);
+  });
+
+  test("test locked wallet hides permitted accounts", async () => {
+    const provider = new Trust(Object.assign({ permissions: { [origin]: [accountsPermission] } }, config));
+    const changes = [];
+    provider.on("accountsChanged", (accounts) => changes.push(accounts));
+
+    provider.setAddress("");
+    expect(await provider.request({ method: "eth_accounts" })).toEqual([]);
+    expect(provider.selectedAddress).toBe("");
+    // the permission itself stays, unlocking brings the accounts back
+    expect(provider.getPermissions()[0].caveats).toEqual([{ type: "restrictReturnedAccounts", value: [] }]);
+    provider.setAccounts([address]);
+    provider.setAccounts([]);
+
+    expect(changes).toEqual([[], [address], []]);
+  });
+});
@@ -0,0 +1,145 @@
+// Copyright © 2017-2020 Trust Wallet.
+//
+// This file is part of Trust. The full Trust copyright notice, including
+// terms governing use, modification, and redistribution, is contained in the
+// file LICENSE at the root of the source code distribution tree.
+
+"use strict";
+
+require("../index");
+const Trust = window.Trust;
+const abi = require("ethereumjs-abi");
+const ProviderRpcError = require("../error");
+const TransactionPreview = require("../preview");
+
+const address = "0xcd2a3d9f938e13cd947ec05abc7fe734df8dd826";
+const token = "0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48";
+const spender = "0x5aaeb6053f3e94c9b9a09f33669435e7ef1beaed";
+const permit2 = "0x000000000022D473030F116dDEE9F6B43aC78BA3";
+const maxUint256 = "115792089237316195423570985008687907853269984665640564039457584007913129639935";
+
+function encode(method, types, values) {
+  return "0x" + abi.methodID(method, types).toString("hex") + abi.rawEncode(types, values).toString("hex");
+}
+
+function createRPC(rpc) {
+  return Object.assign(
+    {
+      ethCall: () => Promise.resolve("0x"),
+      getCode: () => Promise.resolve("0x6080"),
+    },
+    rpc
+  );
+}
+
+describe("Transaction preview tests", () => {
+  test("test unlimited ERC-20 approval in the signTransaction message", () => {
+    const provider = new Trust({ address: address, chainId: 1, rpcUrl: "", eip6963: false, bridge: "memory" });
+    provider.rpc = Object.assign(createRPC(), {
+      getTransactionCount: () => Promise.resolve("0x0"),
+      estimateGas: () => Promise.resolve("0xb411"),
+      getFeeHistory: () => Promise.resolve({ baseFeePerGas: ["0x1"], reward: [["0x1"]] }),
+    });
+    const data = encode("approve", ["address", "uint256"], [spender, maxUint256]);
+    provider.request({ method: "eth_sendTransaction", params: [{ to: token, data: data }] });
+
+    return new Promise((resolve) => setTimeout(resolve, 0)).then(() => {
+      const message = provider.getBridge().messages[0];
+      expect(message.name).toBe("signTransaction");
+      expect(message.payload.data).toBe(data);
+      expect(message.preview.kind).toBe("contract_call");
+      expect(message.preview.call.method).toBe("approve");
+      expect(message.preview.call.args).toEqual({ spender: spender, amount: maxUint256 });
+      expect(message.preview.risks.map((risk) => risk.type)).toEqual([TransactionPreview.Risk.unlimitedApproval]);
+    });
+  });
+
+  test("test NFT transfers and approval for all", () => {
+    const batch = TransactionPreview.decode({
+      to: token,
+      data: encode(
+        "safeBatchTransferFrom",
+        ["address", "address", "uint256[]", "uint256[]", "bytes"],
+        [address, spender, [1, 2], [10, 20], Buffer.from("")]
+      ),
+    });
+    expect(batch.standards).toEqual(["erc1155"]);
+    expect(batch.args.ids).toEqual(["1", "2"]);
+    expect(batch.args.amounts).toEqual(["10", "20"]);
+    expect(batch.args.data).toBe("0x");
+
+    const preview = new TransactionPreview(createRPC());
+    const data = encode("setApprovalForAll", ["address", "bool"], [spender, true]);
+    return preview.preview({ from: address, to: token, data: data }).then((result) => {
+      expect(result.call.args.approved).toBe(true);
+      expect(result.risks[0].type).toBe(TransactionPreview.Risk.approvalForAll);
+    });
+  });
+
+  test("test Permit2 approve is only decoded on the Permit2 contract", () => {
+    const data = encode(
+      "approve",
+      ["address", "address", "uint160", "uint48"],
+      [token, spender, "1461501637330902918203684832716283019655932542975", 1700000000]
+    );
+    expect(TransactionPreview.decode({ to: spender, data: data })).toBeNull();
+
+    const call = TransactionPreview.decode({ to: permit2, data: data });
+    expect(call.standards).toEqual(["permit2"]);
+    expect(TransactionPreview.risks({ to: permit2 }, { call: call })[0].type).toBe(TransactionPreview.Risk.unlimitedApproval);
+  });
+
+  test("test revert reason and call to EOA", () => {
+    const revert = "0x08c379a0" + abi.rawEncode(["string"], ["transfer amount exceeds balance"]).toString("hex");
+    const preview = new TransactionPreview(
+      createRPC({
+        ethCall: () => Promise.reject(new ProviderRpcError(3, "execution reverted", revert)),
+        getCode: () => Promise.resolve("0x"),
+      })
+    );
+    const data = encode("transfer", ["address", "uint256"], [spender, 1]);
+
+    return preview.preview({ from: address, to: token, data: data }).then((result) => {
+      expect(result.isContract).toBe(false);
+      expect(result.simulation.success).toBe(false);
+      expect(result.simulation.reason).toBe("transfer amount exceeds balance");
+      expect(result.risks.map((risk) => risk.type)).toEqual([
+        TransactionPreview.Risk.callToEOA,
+        TransactionPreview.Risk.simulationReverted,
+      ]);
+    });
+  });
+
+  test("test unavailable node doesn't flag the transaction", () => {
+    const preview = new TransactionPreview(
+      createRPC({ ethCall: () => Promise.reject(ProviderRpcError.resourceUnavailable("node is down")) })
+    );
+
+    return preview.preview({ from: address, to: spender, value: "0x1" }).then((result) => {
+      expect(result.kind).toBe("transfer");
+      expect(result.call).toBeNull();
+      expect(result.isContract).toBeNull();
+      expect(result.simulation.success).toBeNull();
+      expect(result.risks).toEqual([]);
+    });
+  });
+
+  test("test failed preview is only logged in debug mode", async () => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    const provider = new Trust({
+      address: address,
+      chainId: 1,
+      rpcUrl: "",
+      eip6963: false,
+      bridge: "memory",
+      fillTransaction: false,
+    });
+    provider.rpc = {};
+
+    provider.request({ method: "eth_sendTransaction", params: [{ to: spender, value: "0x1" }] });
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    expect(provider.getBridge().messages[0].name).toBe("signTransaction");
+    expect(console.log).not.toHaveBeenCalled();
+    console.log.mockRestore();
+  });
+});
@@ -0,0 +1,124 @@
+// Copyright © 2017-2020 Trust Wallet.
+//
+// This file is part of Trust. The full Trust copyright notice, including
+// terms governing use, modification, and redistribution, is contained in the
+// file LICENSE at the root of the source code distribution tree.
+
+"use strict";
+
+require("../index");
+const Trust = window.Trust;
+const ProviderEvents = require("../provider_events");
+
+const address = "0xcd2a3d9f938e13cd947ec05abc7fe734df8dd826";
+const mainnet = { address: address, chainId: 1, rpcUrl: "https://mainnet.example", eip6963: false, bridge: "memory" };
+const bsc = Object.assign({}, mainnet, { chainId: 56, rpcUrl: "https://bsc.example" });
+
+const EVENTS = ["connect", "disconnect", "close", "chainChanged", "chainIdChanged", "networkChanged", "accountsChanged", "message", "notification", "data"];
+
+function record(provider) {
+  const events = [];
+  EVENTS.forEach((event) => provider.on(event, (...args) => events.push([event].concat(args))));
+  return events;
+}
+
+describe("Provider events tests", () => {
+  test("test legacy mode", () => {
+    const provider = new Trust(mainnet);
+    const events = record(provider);
+    provider.setConfig(bsc);
+
+    expect(provider.events.mode).toBe(ProviderEvents.Mode.legacy);
+    expect(events).toEqual([
+      ["chainChanged", "0x38"],
+      ["chainIdChanged", "0x38"],
+      // the net version, as MetaMask's provider always had it
+      ["networkChanged", "56"],
+    ]);
+  });
+
+  test("test strict mode", () => {
+    const provider = new Trust(Object.assign({ events: "strict" }, mainnet));
+    provider.setConnectionState(Trust.ConnectionState.connected);
+    const events = record(provider);
+    provider.setConfig(bsc);
+    provider.setConnectionState(Trust.ConnectionState.disconnected);
+    provider.emitMessage("eth_subscription", { subscription: "0x1", result: "0x2" });
+
+    expect(events.map((event) => event[0])).toEqual(["chainChanged", "disconnect", "message"]);
+    expect(events[1][1].code).toBe(4900);
+    expect(events[2][1]).toEqual({ type: "eth_subscription", data: { subscription: "0x1", result: "0x2" } });
+  });
+
+  test("test mode follows setConfig", () => {
+    const provider = new Trust(mainnet);
+    provider.setConfig(Object.assign({ events: "strict" }, mainnet));
+    expect(provider.events.mode).toBe(ProviderEvents.Mode.strict);
+
+    // configs that don't mention it keep the mode
+    provider.setConfig(mainnet);
+    expect(provider.events.mode).toBe(ProviderEvents.Mode.strict);
+    provider.setConfig(Object.assign({ events: "legacy" }, mainnet));
+    expect(provider.events.mode).toBe(ProviderEvents.Mode.legacy);
+  });
+
+  test("test legacy subscription events", () => {
+    const provider = new Trust(mainnet);
+    const events = record(provider);
+    provider.emitMessage("eth_subscription", { subscription: "0x1", result: { number: "0x10" } });
+    provider.emitMessage("wallet_notice", { text: "maintenance" });
+
+    expect(events).toEqual([
+      ["message", { type: "eth_subscription", data: { subscription: "0x1", result: { number: "0x10" } } }],
+      ["notification", { number: "0x10" }],
+      ["data", null, { jsonrpc: "2.0", method: "eth_subscription", params: { subscription: "0x1", result: { number: "0x10" } } }],
+      ["message", { type: "wallet_notice", data: { text: "maintenance" } }],
+    ]);
+  });
+
+  test("test accountsChanged only on changes", () => {
+    const empty = new Trust(Object.assign({}, mainnet, { address: "" }));
+    const accountsChanged = jest.fn();
+    empty.on("accountsChanged", accountsChanged);
+    empty.setAddress("");
+    empty.setConfig(Object.assign({}, mainnet, { address: "" }));
+    expect(accountsChanged).not.toHaveBeenCalled();
+
+    empty.setAddress(address);
+    empty.setConfig(mainnet);
+    empty.setAddress("");
+    empty.setAddress(null);
+    expect(accountsChanged.mock.calls).toEqual([[[address]], [[]]]);
+  });
+
+  test("test once and removeListener across setConfig", () => {
+    const provider = new Trust(mainnet);
+    const once = jest.fn();
+    const removed = jest.fn();
+    const kept = jest.fn();
+    provider.once("chainChanged", once);
+    provider.on("networkChanged", removed);
+    provider.on("chainChanged", kept);
+
+    provider.setConfig(Object.assign({ events: "strict" }, bsc));
+    provider.removeListener("networkChanged", removed);
+    provider.setConfig(Object.assign({ events: "legacy" }, mainnet));
+    provider.setConfig(bsc);
+
+    expect(once.mock.calls).toEqual([["0x38"]]);
+    expect(removed).not.toHaveBeenCalled();
+    expect(kept.mock.calls).toEqual([["0x38"], ["0x1"], ["0x38"]]);
+    expect(provider.listenerCount("chainChanged")).toBe(1);
+  });
+
+  test("test disconnect in legacy mode", () => {
+    const provider = new Trust(mainnet);
+    const events = record(provider);
+    provider.setConnectionState(Trust.ConnectionState.connected);
+    provider.setConnectionState(Trust.ConnectionState.disconnected);
+
+    expect(events.map((event) => event[0])).toEqual(["connect", "disconnect", "close"]);
+    expect(events[0][1]).toEqual({ chainId: "0x1" });
+    expect(events[2][1]).toBe(events[1][1]);
+  });
+});
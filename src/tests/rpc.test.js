@@ -0,0 +1,184 @@
+// Copyright © 2017-2020 Trust Wallet.
+//
+// This file is part of Trust. The full Trust copyright notice, including
+// terms governing use, modification, and redistribution, is contained in the
+// file LICENSE at the root of the source code distribution tree.
+
+"use strict";
+
+require("../index");
+const Trust = window.Trust;
+const RPCServer = require("../rpc");
+
+const mainnet = {
+  address: "0x9d8A62f656a8d1615C1294fd71e9CFb3E4855A4F",
+  chainId: 1,
+  rpcUrl: "https://mainnet.infura.io/v3/6e822818ec644335be6f0ed231f48310",
+  eip6963: false,
+};
+
+function mockFetch(handler) {
+  const requests = [];
+  window.fetch = jest.fn((url, options) => {
+    const body = JSON.parse(options.body);
+    requests.push(body);
+    return Promise.resolve({ json: () => Promise.resolve(handler(body)) });
+  });
+  return requests;
+}
+
+describe("RPCServer batch tests", () => {
+  afterEach(() => {
+    delete window.fetch;
+  });
+
+  test("test batch responses mapped by id", async () => {
+    mockFetch((batch) => batch.reverse().map((payload) => {
+      if (payload.method === "eth_call") {
+        return { jsonrpc: "2.0", id: payload.id, error: { code: 3, message: "execution reverted" } };
+      }
+      return { jsonrpc: "2.0", id: payload.id, result: "0x" + payload.id };
+    }));
+
+    const rpc = new RPCServer(mainnet.rpcUrl);
+    const responses = await rpc.call([
+      { jsonrpc: "2.0", id: 1, method: "eth_blockNumber", params: [] },
+      { jsonrpc: "2.0", id: 2, method: "eth_call", params: [] },
+      { jsonrpc: "2.0", id: 3, method: "eth_gasPrice", params: [] },
+    ]);
+
+    expect(responses.map((response) => response.id)).toEqual([1, 2, 3]);
+    expect(responses[0].result).toBe("0x1");
+    expect(responses[1].error.code).toBe(3);
+    expect(responses[2].result).toBe("0x3");
+  });
+
+  test("test batch split into chunks", async () => {
+    const requests = mockFetch((batch) => batch.map((payload) => ({ id: payload.id, result: "0x0" })));
+    const rpc = new RPCServer(mainnet.rpcUrl);
+    rpc.maxBatchSize = 2;
+
+    const payloads = [1, 2, 3].map((id) => ({ jsonrpc: "2.0", id: id, method: "eth_blockNumber" }));
+    const responses = await rpc.call(payloads);
+
+    expect(requests.length).toBe(2);
+    expect(responses.length).toBe(3);
+  });
+
+  test("test provider batch routes wallet methods locally", (done) => {
+    const requests = mockFetch((batch) => batch.map((payload) => ({ jsonrpc: "2.0", id: payload.id, result: "0x10" })));
+    const provider = new Trust(mainnet);
+
+    provider.sendAsync([
+      { jsonrpc: "2.0", id: "a", method: "eth_blockNumber", params: [] },
+      { jsonrpc: "2.0", id: "b", method: "eth_chainId", params: [] },
+      { jsonrpc: "2.0", id: "c", method: "eth_getBalance", params: [mainnet.address, "latest"] },
+    ], (error, responses) => {
+      expect(error).toBeNull();
+      expect(requests.length).toBe(1);
+      expect(requests[0].map((payload) => payload.method)).toEqual(["eth_blockNumber", "eth_getBalance"]);
+      expect(responses).toEqual([
+        { jsonrpc: "2.0", id: "a", result: "0x10" },
+        { jsonrpc: "2.0", id: "b", result: "0x1" },
+        { jsonrpc: "2.0", id: "c", result: "0x10" },
+      ]);
+      done();
+    });
+  });
+
+  test("test provider batch timeout and abort", async () => {
+    window.fetch = jest.fn(() => new Promise(() => {}));
+    const provider = new Trust(Object.assign({ timeouts: { default: 50 } }, mainnet));
+    const batch = [
+      { jsonrpc: "2.0", id: "a", method: "eth_blockNumber", params: [] },
+      { jsonrpc: "2.0", id: "b", method: "eth_chainId", params: [] },
+    ];
+
+    const responses = await provider.request(batch);
+    expect(responses[0]).toMatchObject({ id: "a", error: { code: -32603, message: "Request eth_blockNumber timed out after 50ms" } });
+    expect(responses[1]).toEqual({ jsonrpc: "2.0", id: "b", result: "0x1" });
+
+    const controller = new AbortController();
+    const aborted = provider.request(batch, { signal: controller.signal });
+    controller.abort();
+    expect((await aborted)[0].error.message).toBe("Request eth_blockNumber was aborted");
+  });
+});
+
+describe("RPCServer failover tests", () => {
+  const urls = ["https://rpc1.example", "https://rpc2.example"];
+  const options = { backoff: 0 };
+  const payload = { jsonrpc: "2.0", id: 1, method: "eth_blockNumber", params: [] };
+
+  afterEach(() => {
+    delete window.fetch;
+  });
+
+  test("test fail over on network error", async () => {
+    const calls = [];
+    window.fetch = jest.fn((url) => {
+      calls.push(url);
+      if (url === urls[0]) {
+        return Promise.reject(new TypeError("Failed to fetch"));
+      }
+      return Promise.resolve({ status: 200, json: () => Promise.resolve({ jsonrpc: "2.0", id: 1, result: "0x1" }) });
+    });
+
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    const rpc = new RPCServer(urls, options);
+    expect(rpc.rpcUrl).toBe(urls[0]);
+    expect((await rpc.call(payload)).result).toBe("0x1");
+    expect(calls).toEqual(urls);
+    // retries are only logged in debug mode
+    expect(console.log).not.toHaveBeenCalled();
+    console.log.mockRestore();
+
+    // the failing endpoint is cooling down, go straight to the healthy one
+    expect(rpc.rpcUrl).toBe(urls[1]);
+    await rpc.call(payload);
+    expect(calls).toEqual(urls.concat(urls[1]));
+    expect(rpc.getEndpointStats()[0].failures).toBe(1);
+  });
+
+  test("test fail over on hanging endpoint", async () => {
+    window.fetch = jest.fn((url, init) => {
+      if (url === urls[0]) {
+        // never answers, only the abort ends it
+        return new Promise((resolve, reject) => init.signal.addEventListener("abort", () => reject(new Error("aborted"))));
+      }
+      return Promise.resolve({ status: 200, json: () => Promise.resolve({ jsonrpc: "2.0", id: 1, result: "0x1" }) });
+    });
+
+    const rpc = new RPCServer(urls, Object.assign({ timeout: 20 }, options));
+    expect((await rpc.call(payload)).result).toBe("0x1");
+    expect(rpc.getEndpointStats()[0].failures).toBe(1);
+    expect(rpc.rpcUrl).toBe(urls[1]);
+  });
+
+  test("test fail over on rate limit", async () => {
+    window.fetch = jest.fn((url) => {
+      if (url === urls[0]) {
+        return Promise.resolve({ status: 429, json: () => Promise.resolve({}) });
+      }
+      return Promise.resolve({
+        status: 200,
+        json: () => Promise.resolve({ jsonrpc: "2.0", id: 1, error: { code: -32005, message: "limit exceeded" } }),
+      });
+    });
+
+    const rpc = new RPCServer(urls, options);
+    await expect(rpc.call(payload)).rejects.toMatchObject({ code: -32005 });
+    expect(window.fetch.mock.calls.length).toBe(3);
+  });
+
+  test("test no retry on revert", async () => {
+    window.fetch = jest.fn(() => Promise.resolve({
+      status: 200,
+      json: () => Promise.resolve({ jsonrpc: "2.0", id: 1, error: { code: 3, message: "execution reverted" } }),
+    }));
+
+    const rpc = new RPCServer(urls, options);
+    await expect(rpc.call(payload)).rejects.toMatchObject({ code: 3 });
+    expect(window.fetch.mock.calls.length).toBe(1);
+  });
+});
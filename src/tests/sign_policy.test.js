@@ -0,0 +1,70 @@
+// Copyright © 2017-2020 Trust Wallet.
+//
+// This file is part of Trust. The full Trust copyright notice, including
+// terms governing use, modification, and redistribution, is contained in the
+// file LICENSE at the root of the source code distribution tree.
+
+"use strict";
+
+require("../index");
+const Trust = window.Trust;
+const { rlp } = require("ethereumjs-util");
+const SignPolicy = require("../sign_policy");
+
+const address = "0xcd2a3d9f938e13cd947ec05abc7fe734df8dd826";
+const to = "0x5aaeb6053f3e94c9b9a09f33669435e7ef1beaed";
+const hash = "0x" + "ab".repeat(32);
+const legacy = "0x" + rlp.encode([9, 20000000000, 21000, to, 1000, "0x"]).toString("hex");
+const eip1559 = "0x02" + rlp.encode([1, 9, 1, 2, 21000, to, 0, "0xa9059cbb", []]).toString("hex");
+
+function createProvider(policy) {
+  return new Trust({ address: address, chainId: 1, rpcUrl: "", eip6963: false, bridge: "memory", ethSignPolicy: policy });
+}
+
+describe("eth_sign policy tests", () => {
+  test("test classify", () => {
+    expect(SignPolicy.classify(Buffer.from(hash.slice(2), "hex")).type).toBe(SignPolicy.Kind.hash);
+    expect(SignPolicy.classify(Buffer.from("ff00ff", "hex")).type).toBe(SignPolicy.Kind.binary);
+
+    const transaction = SignPolicy.classify(Buffer.from(legacy.slice(2), "hex"));
+    expect(transaction.type).toBe(SignPolicy.Kind.transaction);
+    expect(transaction.transaction).toEqual({ type: "0x0", to: to, value: "0x3e8", data: "0x" });
+
+    const typed = SignPolicy.classify(Buffer.from(eip1559.slice(2), "hex"));
+    expect(typed.transaction).toEqual({ type: "0x2", to: to, value: "0x0", data: "0xa9059cbb" });
+  });
+
+  test("test default policy warns on hashes and blocks transactions", () => {
+    const provider = createProvider();
+    provider.request({ method: "eth_sign", params: [address, hash] });
+
+    const message = provider.getBridge().messages[0];
+    expect(message.name).toBe("signMessage");
+    expect(message.payload.data).toBe(hash);
+    expect(message.payload.risk).toMatchObject({ type: "hash", level: "danger", action: "warn" });
+
+    return expect(provider.request({ method: "eth_sign", params: [address, legacy] })).rejects.toMatchObject({
+      code: 4200,
+      data: { type: "transaction" },
+    });
+  });
+
+  test("test per origin rules", () => {
+    const origin = window.location.origin;
+    const blocked = createProvider({ hash: "block", origins: { "https://other.app": "allow" } });
+    const allowed = createProvider({ hash: "block", origins: { [origin]: { hash: "allow" } } });
+
+    allowed.request({ method: "eth_sign", params: [address, hash] });
+    expect(allowed.getBridge().messages[0].payload.risk.action).toBe("allow");
+
+    return expect(blocked.request({ method: "eth_sign", params: [address, hash] })).rejects.toMatchObject({ code: 4200 });
+  });
+
+  test("test text still goes through signPersonalMessage", () => {
+    const provider = createProvider({ hash: "block", binary: "block" });
+    const hex = "0x" + Buffer.from("Hello Trust", "utf8").toString("hex");
+    provider.request({ method: "eth_sign", params: [address, hex] });
+
+    expect(provider.getBridge().messages[0]).toMatchObject({ name: "signPersonalMessage", payload: { data: hex } });
+  });
+});
@@ -0,0 +1,102 @@
+// Copyright © 2017-2020 Trust Wallet.
+//
+// This file is part of Trust. The full Trust copyright notice, including
+// terms governing use, modification, and redistribution, is contained in the
+// file LICENSE at the root of the source code distribution tree.
+
+"use strict";
+
+require("../index");
+const Trust = window.Trust;
+const sigUtil = require("eth-sig-util");
+const { privateToAddress } = require("ethereumjs-util");
+const ProviderRpcError = require("../error");
+
+const privateKey = Buffer.from("4af1bceebf7f3634ec3cff8a2c38e51178d5d4ce585c52d6043e5e2cc3418bb0", "hex");
+const address = "0x" + privateToAddress(privateKey).toString("hex");
+const wallet = "0x5aaeb6053f3e94c9b9a09f33669435e7ef1beaed";
+
+const typedData = {
+  types: {
+    EIP712Domain: [{ name: "name", type: "string" }, { name: "chainId", type: "uint256" }],
+    Login: [{ name: "nonce", type: "uint256" }],
+  },
+  primaryType: "Login",
+  domain: { name: "Trust", chainId: 1 },
+  message: { nonce: 42 },
+};
+
+function createProvider(rpc) {
+  const provider = new Trust({ address: address, chainId: 1, rpcUrl: "", eip6963: false, bridge: "memory" });
+  provider.rpc = rpc;
+  return provider;
+}
+
+describe("Signature verification tests", () => {
+  test("test personal_ecRecover is answered locally", () => {
+    const provider = createProvider();
+    const message = "0x" + Buffer.from("Hello Trust", "utf8").toString("hex");
+    const signature = sigUtil.personalSign(privateKey, { data: message });
+
+    return provider.request({ method: "personal_ecRecover", params: [message, signature] }).then((result) => {
+      expect(result).toBe(address);
+      expect(provider.getBridge().messages.length).toBe(0);
+      expect(provider.recoverPersonalSignature("Hello Trust", signature)).toBe(address);
+    });
+  });
+
+  test("test malformed signatures", () => {
+    const provider = createProvider();
+
+    expect(() => provider.recoverPersonalSignature("Hello Trust", "0x1234")).toThrow("65 byte");
+    return expect(provider.request({ method: "personal_ecRecover", params: ["Hello Trust"] })).rejects.toMatchObject({
+      code: -32602,
+    });
+  });
+
+  test("test typed data recovery", () => {
+    const provider = createProvider();
+    const signature = sigUtil.signTypedData_v4(privateKey, { data: typedData });
+
+    expect(provider.recoverTypedSignature(typedData, signature)).toBe(address);
+    expect(provider.recoverTypedSignature(JSON.stringify(typedData), signature, "V4")).toBe(address);
+    return provider.verifyTypedSignature(address, typedData, signature).then((valid) => {
+      expect(valid).toBe(true);
+    });
+  });
+
+  test("test ERC-1271 smart contract wallets", () => {
+    const calls = [];
+    const provider = createProvider({
+      getCode: (to) => Promise.resolve(to === wallet ? "0x6080" : "0x"),
+      ethCall: (tx) => {
+        calls.push(tx);
+        return Promise.resolve("0x1626ba7e" + "00".repeat(28));
+      },
+    });
+    // whatever format the wallet contract uses
+    const signature = "0xdeadbeef";
+
+    return Promise.all([
+      provider.verifyPersonalSignature(wallet, "Hello Trust", signature),
+      provider.verifyPersonalSignature(address, "Hello Trust", signature),
+    ]).then(([contract, eoa]) => {
+      expect(contract).toBe(true);
+      expect(eoa).toBe(false);
+      expect(calls.length).toBe(1);
+      expect(calls[0].to).toBe(wallet);
+      expect(calls[0].data.slice(0, 10)).toBe("0x1626ba7e");
+    });
+  });
+
+  test("test ERC-1271 revert is an invalid signature", () => {
+    const provider = createProvider({
+      getCode: () => Promise.resolve("0x6080"),
+      ethCall: () => Promise.reject(new ProviderRpcError(3, "execution reverted")),
+    });
+
+    return provider.verifyPersonalSignature(wallet, "Hello Trust", "0x01").then((valid) => {
+      expect(valid).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,119 @@
+// Copyright © 2017-2020 Trust Wallet.
+//
+// This file is part of Trust. The full Trust copyright notice, including
+// terms governing use, modification, and redistribution, is contained in the
+// file LICENSE at the root of the source code distribution tree.
+
+"use strict";
+
+require("../index");
+const Trust = window.Trust;
+const SiweMessage = require("../siwe");
+
+const address = "0xCD2a3d9F938E13CD947Ec05AbC7FE734Df8DD826";
+
+function siwe(fields = {}) {
+  const values = Object.assign(
+    {
+      domain: window.location.host,
+      address: address,
+      statement: "I accept the Terms of Service",
+      uri: window.location.origin + "/login",
+      chainId: 1,
+      nonce: "32891756",
+      issuedAt: "2021-09-30T16:25:24Z",
+    },
+    fields
+  );
+  const lines = [`${values.domain} wants you to sign in with your Ethereum account:`, values.address, ""];
+  if (values.statement) {
+    lines.push(values.statement, "");
+  }
+  lines.push(`URI: ${values.uri}`, "Version: 1", `Chain ID: ${values.chainId}`, `Nonce: ${values.nonce}`, `Issued At: ${values.issuedAt}`);
+  if (values.expirationTime) {
+    lines.push(`Expiration Time: ${values.expirationTime}`);
+  }
+  if (values.notBefore) {
+    lines.push(`Not Before: ${values.notBefore}`);
+  }
+  lines.push("Resources:", "- ipfs://bafybeiemxf5abjwjbikoz4mc3a3dla6ual3jsgpdr4cjr3oz3evfyavhwq/");
+  return lines.join("\n");
+}
+
+function createProvider() {
+  return new Trust({ address: address.toLowerCase(), chainId: 1, rpcUrl: "", eip6963: false, bridge: "memory" });
+}
+
+function warningTypes(message) {
+  return message.payload.warnings.map((warning) => warning.type);
+}
+
+describe("Sign-In with Ethereum tests", () => {
+  test("test parse", () => {
+    const message = SiweMessage.parse(siwe({ expirationTime: "2100-01-01T00:00:00.000Z" }));
+    expect(message).toMatchObject({
+      domain: "localhost",
+      address: address,
+      statement: "I accept the Terms of Service",
+      uri: "http://localhost/login",
+      version: "1",
+      chainId: 1,
+      nonce: "32891756",
+      issuedAt: "2021-09-30T16:25:24Z",
+      expirationTime: "2100-01-01T00:00:00.000Z",
+      resources: ["ipfs://bafybeiemxf5abjwjbikoz4mc3a3dla6ual3jsgpdr4cjr3oz3evfyavhwq/"],
+      errors: [],
+    });
+    expect(SiweMessage.parse(siwe({ statement: null })).statement).toBeUndefined();
+    expect(SiweMessage.parse("Hello, wants you to sign in")).toBeNull();
+    expect(SiweMessage.parse(siwe({ nonce: "1" })).errors).toEqual(["nonce must be at least 8 alphanumeric characters"]);
+  });
+
+  test("test personal_sign with a matching message", () => {
+    const provider = createProvider();
+    const text = siwe();
+    const hex = "0x" + Buffer.from(text, "utf8").toString("hex");
+    provider.request({ method: "personal_sign", params: [hex, address] });
+
+    const message = provider.getBridge().messages[0];
+    expect(message.name).toBe("signInWithEthereum");
+    expect(message.payload.data).toBe(hex);
+    expect(message.payload.message).toBe(text);
+    expect(message.payload.siwe.nonce).toBe("32891756");
+    expect(message.payload.warnings).toEqual([]);
+  });
+
+  test("test phishing and stale messages", () => {
+    const provider = createProvider();
+    const text = siwe({
+      domain: "app.uniswap.org",
+      uri: "https://app.uniswap.org",
+      chainId: 56,
+      address: "0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed",
+      expirationTime: "2021-10-01T00:00:00Z",
+      notBefore: "2100-01-01T00:00:00Z",
+    });
+    provider.request({ method: "eth_sign", params: [address, "0x" + Buffer.from(text, "utf8").toString("hex")] });
+
+    const message = provider.getBridge().messages[0];
+    expect(message.name).toBe("signInWithEthereum");
+    expect(message.payload.method).toBe("eth_sign");
+    expect(warningTypes(message)).toEqual([
+      SiweMessage.Warning.domainMismatch,
+      SiweMessage.Warning.uriMismatch,
+      SiweMessage.Warning.chainMismatch,
+      SiweMessage.Warning.addressMismatch,
+      SiweMessage.Warning.expired,
+      SiweMessage.Warning.notYetValid,
+    ]);
+  });
+
+  test("test plain messages are unchanged", () => {
+    const provider = createProvider();
+    provider.request({ method: "personal_sign", params: ["Hello Trust", address] });
+
+    const message = provider.getBridge().messages[0];
+    expect(message.name).toBe("signPersonalMessage");
+    expect(message.payload).toEqual({ data: "Hello Trust" });
+  });
+});
@@ -0,0 +1,179 @@
+// Copyright © 2017-2020 Trust Wallet.
+//
+// This file is part of Trust. The full Trust copyright notice, including
+// terms governing use, modification, and redistribution, is contained in the
+// file LICENSE at the root of the source code distribution tree.
+
+"use strict";
+
+require("../index");
+const Trust = window.Trust;
+const ProviderRpcError = require("../error");
+
+const address = "0xcd2a3d9f938e13cd947ec05abc7fe734df8dd826";
+const to = "0x5aaeb6053f3e94c9b9a09f33669435e7ef1beaed";
+
+function createProvider(rpc, config = {}) {
+  const provider = new Trust(
+    Object.assign({ address: address, chainId: 1, rpcUrl: "", eip6963: false, bridge: "memory" }, config)
+  );
+  provider.rpc = Object.assign(
+    {
+      getTransactionCount: () => Promise.resolve("0x7"),
+      estimateGas: () => Promise.resolve("0x5208"),
+      getGasPrice: () => Promise.resolve("0x3b9aca00"),
+      getFeeHistory: () =>
+        Promise.resolve({
+          baseFeePerGas: ["0x3b9aca00", "0x3b9aca00", "0x3b9aca00", "0x3b9aca00", "0x3b9aca00", "0x77359400"],
+          reward: [["0x1"], ["0x3b9aca00"], ["0x77359400"], ["0x3b9aca00"], ["0x0"]],
+        }),
+    },
+    rpc
+  );
+  return provider;
+}
+
+function sentTransaction(provider) {
+  return new Promise((resolve) => setTimeout(resolve, 0)).then(() => {
+    const message = provider.getBridge().messages[0];
+    return message && message.payload;
+  });
+}
+
+describe("Transaction preprocessing tests", () => {
+  test("test fill nonce, gas and EIP-1559 fees", () => {
+    const provider = createProvider();
+    provider.request({ method: "eth_sendTransaction", params: [{ to: to, value: 1000, gasLimit: undefined }] });
+
+    return sentTransaction(provider).then((tx) => {
+      expect(tx).toEqual({
+        from: address,
+        to: to,
+        value: "0x3e8",
+        nonce: "0x7",
+        gas: "0x5208",
+        chainId: "0x1",
+        type: "0x2",
+        maxPriorityFeePerGas: "0x3b9aca00",
+        // 2 * 2 gwei base fee + 1 gwei tip
+        maxFeePerGas: "0x12a05f200",
+      });
+    });
+  });
+
+  test("test back to back transactions get fresh nonces", async () => {
+    let provider = null;
+    window.fetch = jest.fn((url, options) => {
+      const payload = JSON.parse(options.body);
+      // the node counts the first transaction once native broadcast it
+      const nonce = 5 + provider.getBridge().messages.length;
+      const results = { eth_getTransactionCount: "0x" + nonce.toString(16), eth_estimateGas: "0x5208" };
+      const json = payload.method in results
+        ? { jsonrpc: "2.0", id: payload.id, result: results[payload.method] }
+        : { jsonrpc: "2.0", id: payload.id, error: { code: -32601, message: "not supported" } };
+      return Promise.resolve({ json: () => Promise.resolve(json) });
+    });
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    provider = new Trust({ address: address, chainId: 1, rpcUrl: "https://rpc.example", eip6963: false, bridge: "memory" });
+
+    provider.request({ method: "eth_sendTransaction", params: [{ to: to, value: "0x1", gasPrice: "0x1" }] });
+    await sentTransaction(provider);
+    provider.request({ method: "eth_sendTransaction", params: [{ to: to, value: "0x1", gasPrice: "0x1" }] });
+    await sentTransaction(provider);
+    console.log.mockRestore();
+    delete window.fetch;
+
+    const nonces = provider.getBridge().messages.map((message) => message.payload.nonce);
+    expect(nonces).toEqual(["0x5", "0x6"]);
+  });
+
+  test("test legacy chain falls back to gasPrice", () => {
+    const provider = createProvider({ getFeeHistory: () => Promise.reject(ProviderRpcError.methodNotFound()) });
+    provider.request({ method: "eth_sendTransaction", params: [{ to: to, input: "0x", gasLimit: "21000" }] });
+
+    return sentTransaction(provider).then((tx) => {
+      expect(tx.data).toBe("0x");
+      expect(tx.input).toBeUndefined();
+      expect(tx.gas).toBe("0x5208");
+      expect(tx.type).toBe("0x0");
+      expect(tx.gasPrice).toBe("0x3b9aca00");
+      expect(tx.maxFeePerGas).toBeUndefined();
+    });
+  });
+
+  test("test provided fields are kept", () => {
+    const provider = createProvider({
+      getTransactionCount: () => Promise.reject(new Error("should not be called")),
+    });
+    provider.request({
+      method: "eth_sendTransaction",
+      params: [{ from: address, to: to, nonce: "0x01", gas: 30000, gasPrice: "0x1", chainId: 1 }],
+    });
+
+    return sentTransaction(provider).then((tx) => {
+      expect(tx.nonce).toBe("0x1");
+      expect(tx.gas).toBe("0x7530");
+      expect(tx.gasPrice).toBe("0x1");
+      expect(tx.type).toBe("0x0");
+    });
+  });
+
+  test("test fillTransaction disabled", () => {
+    const provider = createProvider({}, { fillTransaction: false });
+    provider.request({ method: "eth_sendTransaction", params: [{ to: to, value: "0x10" }] });
+
+    return sentTransaction(provider).then((tx) => {
+      expect(tx).toEqual({ from: address, to: to, value: "0x10" });
+    });
+  });
+
+  test("test invalid transactions", () => {
+    const provider = createProvider();
+    const send = (tx) => provider.request({ method: "eth_sendTransaction", params: [tx] });
+
+    return Promise.all([
+      expect(send("0x00")).rejects.toMatchObject({ code: -32602 }),
+      expect(send({ to: to, value: "-1" })).rejects.toMatchObject({ code: -32602 }),
+      expect(send({ to: "0x1234" })).rejects.toMatchObject({ code: -32602 }),
+      expect(send({ to: to, data: "0x123" })).rejects.toMatchObject({ code: -32602 }),
+      expect(send({ to: to, chainId: "0x38" })).rejects.toMatchObject({ code: -32602 }),
+      expect(send({ to: to, gasPrice: "0x1", maxFeePerGas: "0x2" })).rejects.toMatchObject({ code: -32602 }),
+      expect(send({ from: to, to: to })).rejects.toMatchObject({ code: 4100 }),
+    ]).then(() => {
+      expect(provider.getBridge().messages.length).toBe(0);
+    });
+  });
+
+  test("test estimateGas failure rejects the request", () => {
+    const provider = createProvider({
+      estimateGas: () => Promise.reject(new ProviderRpcError(3, "execution reverted", "0x08c379a0")),
+    });
+
+    return expect(
+      provider.request({ method: "eth_sendTransaction", params: [{ to: to, data: "0xdeadbeef" }] })
+    ).rejects.toMatchObject({ code: 3, message: "execution reverted", data: "0x08c379a0" });
+  });
+
+  test("test unreachable rpc forwards the transaction unfilled", () => {
+    const provider = createProvider({
+      getTransactionCount: () => Promise.reject(ProviderRpcError.resourceUnavailable("is unreachable: Failed to fetch")),
+    });
+    provider.request({ method: "eth_sendTransaction", params: [{ to: to, value: "0x10" }] });
+
+    return sentTransaction(provider).then((tx) => {
+      expect(tx).toEqual({ from: address, to: to, value: "0x10" });
+    });
+  });
+
+  test("test proxy rpc hosts fill in native", () => {
+    const rpc = { getTransactionCount: jest.fn(), estimateGas: jest.fn() };
+    const provider = createProvider(rpc, { isProxyRPC: true, transactionPreview: false });
+    provider.request({ method: "eth_sendTransaction", params: [{ to: to, value: "0x10" }] });
+
+    return sentTransaction(provider).then((tx) => {
+      expect(tx).toEqual({ from: address, to: to, value: "0x10" });
+      expect(rpc.getTransactionCount).not.toHaveBeenCalled();
+      expect(rpc.estimateGas).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,112 @@
+// Copyright © 2017-2020 Trust Wallet.
+//
+// This file is part of Trust. The full Trust copyright notice, including
+// terms governing use, modification, and redistribution, is contained in the
+// file LICENSE at the root of the source code distribution tree.
+
+"use strict";
+
+require("../index");
+const Trust = window.Trust;
+const TypedData = require("../typed_data");
+
+const address = "0xcd2a3d9f938e13cd947ec05abc7fe734df8dd826";
+
+// https://eips.ethereum.org/EIPS/eip-712 example
+const mail = {
+  types: {
+    EIP712Domain: [
+      { name: "name", type: "string" },
+      { name: "version", type: "string" },
+      { name: "chainId", type: "uint256" },
+      { name: "verifyingContract", type: "address" },
+    ],
+    Person: [
+      { name: "name", type: "string" },
+      { name: "wallet", type: "address" },
+    ],
+    Mail: [
+      { name: "from", type: "Person" },
+      { name: "to", type: "Person" },
+      { name: "contents", type: "string" },
+    ],
+  },
+  primaryType: "Mail",
+  domain: {
+    name: "Ether Mail",
+    version: "1",
+    chainId: 1,
+    verifyingContract: "0xCcCCccccCCCCcCCCCCCcCcCccCcCCCcCcccccccC",
+  },
+  message: {
+    from: { name: "Cow", wallet: "0xCD2a3d9F938E13CD947Ec05AbC7FE734Df8DD826" },
+    to: { name: "Bob", wallet: "0xbBbBBBBbbBBBbbbBbbBbbbbBBbBbbbbBbBbbBBbB" },
+    contents: "Hello, Bob!",
+  },
+};
+
+const legacy = [
+  { type: "string", name: "Message", value: "Hi, Alice!" },
+  { type: "uint32", name: "A number", value: "1337" },
+];
+
+function createProvider() {
+  return new Trust({ address: address, chainId: 1, rpcUrl: "", eip6963: false, bridge: "memory" });
+}
+
+describe("Typed data tests", () => {
+  test("test v4 hash and tree", () => {
+    const provider = createProvider();
+    provider.request({ method: "eth_signTypedData_v4", params: [address, JSON.stringify(mail)] });
+
+    const message = provider.getBridge().messages[0];
+    expect(message.name).toBe("signTypedMessage");
+    expect(message.payload.data).toBe("0xbe609aee343fb3c4b28e1df9e632fca64fcfaede20f02e86244efddf30957bd2");
+    expect(message.payload.version).toBe("V4");
+    expect(message.payload.tree.message[0]).toEqual({
+      name: "from",
+      type: "Person",
+      children: [
+        { name: "name", type: "string", value: "Cow" },
+        { name: "wallet", type: "address", value: "0xCD2a3d9F938E13CD947Ec05AbC7FE734Df8DD826" },
+      ],
+    });
+  });
+
+  test("test v1 in legacy param order", () => {
+    const provider = createProvider();
+    provider.request({ method: "eth_signTypedData", params: [legacy, address] });
+
+    const message = provider.getBridge().messages[0];
+    expect(message.payload.version).toBe("V1");
+    expect(message.payload.data).toBe("0x7bcdd3ffeab400ef2294ebf69b2defd370bd29ac576c2569b7ea2c48f49ab1ae");
+    expect(message.payload.tree.fields[1]).toEqual({ name: "A number", type: "uint32", value: "1337" });
+  });
+
+  test("test chainId mismatch", () => {
+    const provider = createProvider();
+    const data = Object.assign({}, mail, { domain: Object.assign({}, mail.domain, { chainId: "0x38" }) });
+
+    return expect(
+      provider.request({ method: "eth_signTypedData_v4", params: [address, data] })
+    ).rejects.toMatchObject({ code: -32602 });
+  });
+
+  test("test malformed typed data", () => {
+    expect(() => TypedData.parse("eth_signTypedData_v4", [address, "{not json"])).toThrow("not valid JSON");
+
+    const missingType = Object.assign({}, mail, { types: { EIP712Domain: mail.types.EIP712Domain, Mail: mail.types.Mail } });
+    expect(() => TypedData.validate(missingType, "V4", "0x1")).toThrow("Person");
+
+    const arrays = Object.assign({}, mail, { types: Object.assign({}, mail.types, { Group: [{ name: "members", type: "Person[]" }] }) });
+    expect(() => TypedData.validate(arrays, "V3", "0x1")).toThrow("arrays");
+    expect(() => TypedData.validate(arrays, "V4", "0x1")).not.toThrow();
+  });
+
+  test("test unauthorized address", () => {
+    const provider = createProvider();
+    return expect(
+      provider.request({ method: "eth_signTypedData_v4", params: ["0x5aaeb6053f3e94c9b9a09f33669435e7ef1beaed", mail] })
+    ).rejects.toMatchObject({ code: 4100 });
+  });
+});
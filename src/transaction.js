@@ -0,0 +1,217 @@
+// Copyright © 2017-2020 Trust Wallet.
+//
+// This file is part of Trust. The full Trust copyright notice, including
+// terms governing use, modification, and redistribution, is contained in the
+// file LICENSE at the root of the source code distribution tree.
+
+"use strict";
+
+import ProviderRpcError from "./error";
+import Utils from "./utils";
+
+const QUANTITY_FIELDS = [
+  "value",
+  "gas",
+  "gasPrice",
+  "maxFeePerGas",
+  "maxPriorityFeePerGas",
+  "nonce",
+  "chainId",
+  "type",
+];
+
+const ADDRESS_PATTERN = /^0x[0-9a-fA-F]{40}$/;
+const DATA_PATTERN = /^0x([0-9a-fA-F]{2})*$/;
+
+// tip when the node can't suggest one, 1.5 gwei
+const DEFAULT_PRIORITY_FEE = "0x59682f00";
+const FEE_HISTORY_BLOCKS = "0x5";
+const FEE_HISTORY_PERCENTILE = 50;
+
+/**
+ * eth_sendTransaction preprocessing: validate against the active account / chain,
+ * normalize quantities to hex and fill nonce, gas and fees from RPCServer.
+ */
+class TransactionPreprocessor {
+  constructor(provider) {
+    this.provider = provider;
+  }
+
+  get rpc() {
+    return this.provider.rpc;
+  }
+
+  /**
+   * Resolves with a complete transaction, rejects with ProviderRpcError.
+   * origin is the page or frame asking, from must be one of its accounts.
+   */
+  process(transaction, fill = true, origin = this.provider.origin) {
+    let tx;
+    try {
+      tx = this.normalize(transaction, origin);
+      this.validate(tx, origin);
+    } catch (error) {
+      return Promise.reject(error);
+    }
+    return fill ? this.fill(tx) : Promise.resolve(tx);
+  }
+
+  normalize(transaction, origin = this.provider.origin) {
+    if (!transaction || typeof transaction !== "object" || Array.isArray(transaction)) {
+      throw ProviderRpcError.invalidParams("eth_sendTransaction expects a transaction object");
+    }
+    const tx = Object.assign({}, transaction);
+
+    // aliases some libraries still send
+    if (tx.gasLimit !== undefined && tx.gas === undefined) {
+      tx.gas = tx.gasLimit;
+    }
+    delete tx.gasLimit;
+    if (tx.input !== undefined && tx.data === undefined) {
+      tx.data = tx.input;
+    }
+    delete tx.input;
+
+    QUANTITY_FIELDS.forEach((field) => {
+      if (tx[field] === undefined || tx[field] === null || tx[field] === "") {
+        delete tx[field];
+        return;
+      }
+      try {
+        tx[field] = Utils.toQuantity(tx[field]);
+      } catch (error) {
+        throw ProviderRpcError.invalidParams(`invalid ${field}: ${error.message}`);
+      }
+    });
+
+    if (!tx.from) {
+      tx.from = this.provider.getAccounts(origin)[0];
+    }
+    return tx;
+  }
+
+  validate(tx, origin = this.provider.origin) {
+    const accounts = this.provider.getAccounts(origin).map((address) => address.toLowerCase());
+    if (!tx.from || accounts.indexOf(tx.from.toLowerCase()) === -1) {
+      throw ProviderRpcError.unauthorized(`${tx.from || "from"} is not an authorized account`);
+    }
+    if (tx.to !== undefined && tx.to !== null && !ADDRESS_PATTERN.test(tx.to)) {
+      throw ProviderRpcError.invalidParams(`invalid to address: ${tx.to}`);
+    }
+    if (tx.data !== undefined && !DATA_PATTERN.test(tx.data)) {
+      throw ProviderRpcError.invalidParams("data must be an even length hex string");
+    }
+    if (!tx.to && !tx.data) {
+      throw ProviderRpcError.invalidParams("a transaction needs a to address or contract data");
+    }
+    if (tx.chainId && tx.chainId !== this.provider.chainId) {
+      throw ProviderRpcError.invalidParams(
+        `chainId ${Utils.hexToInt(tx.chainId)} does not match the active chainId ${Utils.hexToInt(this.provider.chainId)}`
+      );
+    }
+    if (tx.gasPrice && (tx.maxFeePerGas || tx.maxPriorityFeePerGas)) {
+      throw ProviderRpcError.invalidParams("gasPrice can't be combined with EIP-1559 fee fields");
+    }
+    if (tx.type === "0x0" && (tx.maxFeePerGas || tx.maxPriorityFeePerGas)) {
+      throw ProviderRpcError.invalidParams("legacy transactions don't take EIP-1559 fee fields");
+    }
+  }
+
+  /**
+   * A revert rejects the request, any other failure (node down, rate limits...) forwards
+   * the transaction unfilled and native fills it.
+   */
+  fill(tx) {
+    const filled = Object.assign({}, tx, { chainId: this.provider.chainId });
+    return Promise.all([this.fillNonce(filled), this.fillGas(filled), this.fillFees(filled)]).then(
+      () => filled,
+      (error) => {
+        if (TransactionPreprocessor.isRevert(error)) {
+          throw error;
+        }
+        if (this.provider.isDebug) {
+          console.log(`<== fill transaction failed, native fills it: ${error}`);
+        }
+        return tx;
+      }
+    );
+  }
+
+  fillNonce(tx) {
+    if (tx.nonce) {
+      return Promise.resolve();
+    }
+    return this.rpc.getTransactionCount(tx.from, "pending").then((nonce) => {
+      tx.nonce = Utils.toQuantity(nonce);
+    });
+  }
+
+  fillGas(tx) {
+    if (tx.gas) {
+      return Promise.resolve();
+    }
+    const call = { from: tx.from, to: tx.to, value: tx.value, data: tx.data };
+    Object.keys(call).forEach((key) => call[key] === undefined && delete call[key]);
+    // a revert here rejects the request, the error keeps the revert data
+    return this.rpc.estimateGas(call).then((gas) => {
+      tx.gas = Utils.toQuantity(gas);
+    });
+  }
+
+  fillFees(tx) {
+    if (tx.gasPrice) {
+      tx.type = tx.type || "0x0";
+      return Promise.resolve();
+    }
+    if (tx.maxFeePerGas && tx.maxPriorityFeePerGas) {
+      tx.type = "0x2";
+      return Promise.resolve();
+    }
+    if (tx.type === "0x0") {
+      return this.rpc.getGasPrice().then((gasPrice) => {
+        tx.gasPrice = Utils.toQuantity(gasPrice);
+      });
+    }
+    return this.rpc
+      .getFeeHistory(FEE_HISTORY_BLOCKS, "latest", [FEE_HISTORY_PERCENTILE])
+      .catch(() => null)
+      .then((history) => {
+        const baseFees = (history && history.baseFeePerGas) || [];
+        // next block's base fee is the last entry
+        const baseFee = Utils.hexToBN(baseFees[baseFees.length - 1]);
+        if (baseFee.isZero()) {
+          // chain without EIP-1559
+          delete tx.maxFeePerGas;
+          delete tx.maxPriorityFeePerGas;
+          tx.type = "0x0";
+          return this.rpc.getGasPrice().then((gasPrice) => {
+            tx.gasPrice = Utils.toQuantity(gasPrice);
+          });
+        }
+        const priorityFee = tx.maxPriorityFeePerGas
+          ? Utils.hexToBN(tx.maxPriorityFeePerGas)
+          : TransactionPreprocessor.medianReward(history.reward);
+        tx.type = "0x2";
+        tx.maxPriorityFeePerGas = Utils.toQuantity(priorityFee);
+        // room for the base fee to double before the transaction gets stuck
+        tx.maxFeePerGas = tx.maxFeePerGas || Utils.toQuantity(baseFee.muln(2).add(priorityFee));
+      });
+  }
+
+  static isRevert(error) {
+    return !!error && (error.code === 3 || /execution reverted/i.test(error.message || ""));
+  }
+
+  static medianReward(rewards) {
+    const values = (rewards || [])
+      .map((reward) => Utils.hexToBN(reward[0]))
+      .filter((reward) => !reward.isZero())
+      .sort((a, b) => a.cmp(b));
+    if (values.length === 0) {
+      return Utils.hexToBN(DEFAULT_PRIORITY_FEE);
+    }
+    return values[Math.floor(values.length / 2)];
+  }
+}
+
+module.exports = TransactionPreprocessor;
@@ -0,0 +1,206 @@
+// Copyright © 2017-2020 Trust Wallet.
+//
+// This file is part of Trust. The full Trust copyright notice, including
+// terms governing use, modification, and redistribution, is contained in the
+// file LICENSE at the root of the source code distribution tree.
+
+"use strict";
+
+import { TypedDataUtils, typedSignatureHash } from "eth-sig-util";
+import ProviderRpcError from "./error";
+import Utils from "./utils";
+
+const ADDRESS_PATTERN = /^0x[0-9a-fA-F]{40}$/;
+const ATOMIC_TYPE_PATTERN = /^(address|bool|string|bytes([1-9]|[12][0-9]|3[0-2])?|u?int(8|16|24|32|40|48|56|64|72|80|88|96|104|112|120|128|136|144|152|160|168|176|184|192|200|208|216|224|232|240|248|256)?)$/;
+
+/**
+ * EIP-712 typed data for eth_signTypedData (v1), _v3 and _v4.
+ */
+class TypedData {
+  /**
+   * Resolve params in either order and parse them, throws ProviderRpcError on malformed input.
+   * Returns {address, typedData, raw, version}
+   */
+  static parse(method, params) {
+    if (!Array.isArray(params) || params.length < 2) {
+      throw ProviderRpcError.invalidParams(`${method} expects [address, typedData]`);
+    }
+    // MetaMask takes [address, typedData], legacy v1 dapps send [typedData, address]
+    const addressIndex = TypedData.isAddress(params[0]) ? 0 : 1;
+    const address = params[addressIndex];
+    const data = params[1 - addressIndex];
+    if (!TypedData.isAddress(address)) {
+      throw ProviderRpcError.invalidParams(`${method} expects an address, got ${address}`);
+    }
+
+    let typedData = data;
+    if (typeof data === "string") {
+      try {
+        typedData = JSON.parse(data);
+      } catch (error) {
+        throw ProviderRpcError.invalidParams(`typed data is not valid JSON: ${error.message}`);
+      }
+    }
+    if (!typedData || typeof typedData !== "object") {
+      throw ProviderRpcError.invalidParams("typed data must be an object or an array");
+    }
+
+    let version;
+    if (method === "eth_signTypedData_v3") {
+      version = "V3";
+    } else if (method === "eth_signTypedData_v4") {
+      version = "V4";
+    } else {
+      version = Array.isArray(typedData) ? "V1" : "V4";
+    }
+
+    return {
+      address: address,
+      typedData: typedData,
+      raw: typeof data === "string" ? data : JSON.stringify(data),
+      version: version,
+    };
+  }
+
+  static isAddress(value) {
+    return typeof value === "string" && ADDRESS_PATTERN.test(value);
+  }
+
+  /**
+   * Structural checks plus the domain chainId against the active chain (hex string).
+   */
+  static validate(typedData, version, chainId) {
+    if (version === "V1") {
+      return TypedData.validateV1(typedData);
+    }
+    if (Array.isArray(typedData)) {
+      throw ProviderRpcError.invalidParams(`${version} typed data must be an object`);
+    }
+    const { types, primaryType, domain, message } = typedData;
+    if (!types || typeof types !== "object" || !types.EIP712Domain) {
+      throw ProviderRpcError.invalidParams("typed data is missing types.EIP712Domain");
+    }
+    if (typeof primaryType !== "string" || !types[primaryType]) {
+      throw ProviderRpcError.invalidParams(`primaryType ${primaryType} is not defined in types`);
+    }
+    if (!domain || typeof domain !== "object" || !message || typeof message !== "object") {
+      throw ProviderRpcError.invalidParams("typed data requires domain and message objects");
+    }
+
+    Object.keys(types).forEach((name) => {
+      if (!Array.isArray(types[name])) {
+        throw ProviderRpcError.invalidParams(`type ${name} must be a list of fields`);
+      }
+      types[name].forEach((field) => {
+        if (!field || typeof field.name !== "string" || typeof field.type !== "string") {
+          throw ProviderRpcError.invalidParams(`type ${name} has a malformed field`);
+        }
+        const isArray = /\[\d*\]$/.test(field.type);
+        if (isArray && version === "V3") {
+          throw ProviderRpcError.invalidParams(`arrays are not supported by ${version}, field ${name}.${field.name}`);
+        }
+        const baseType = TypedData.baseType(field.type);
+        if (!ATOMIC_TYPE_PATTERN.test(baseType) && !types[baseType]) {
+          throw ProviderRpcError.invalidParams(`type ${baseType} of ${name}.${field.name} is not defined`);
+        }
+      });
+    });
+
+    if (domain.chainId !== undefined && domain.chainId !== null) {
+      const domainChainId = TypedData.parseChainId(domain.chainId);
+      if (domainChainId !== Utils.hexToInt(chainId)) {
+        throw ProviderRpcError.invalidParams(
+          `Provided chainId ${domain.chainId} must match the active chainId ${Utils.hexToInt(chainId)}`
+        );
+      }
+    }
+  }
+
+  static validateV1(typedData) {
+    if (!Array.isArray(typedData) || typedData.length === 0) {
+      throw ProviderRpcError.invalidParams("V1 typed data must be a non empty array");
+    }
+    typedData.forEach((field) => {
+      if (!field || typeof field.name !== "string" || typeof field.type !== "string" || !("value" in field)) {
+        throw ProviderRpcError.invalidParams("V1 typed data entries need type, name and value");
+      }
+      if (!ATOMIC_TYPE_PATTERN.test(TypedData.baseType(field.type))) {
+        throw ProviderRpcError.invalidParams(`V1 type ${field.type} is not supported`);
+      }
+    });
+  }
+
+  static hash(typedData, version) {
+    try {
+      if (version === "V1") {
+        return typedSignatureHash(typedData);
+      }
+      return "0x" + TypedDataUtils.sign(typedData, version === "V4").toString("hex");
+    } catch (error) {
+      throw ProviderRpcError.invalidParams(`failed to hash typed data: ${error.message}`);
+    }
+  }
+
+  /**
+   * Human readable tree for the signing sheet: [{name, type, value}] or [{name, type, children}]
+   */
+  static decode(typedData, version) {
+    if (version === "V1") {
+      return {
+        fields: typedData.map((field) => ({
+          name: field.name,
+          type: field.type,
+          value: TypedData.formatValue(field.value),
+        })),
+      };
+    }
+    const types = typedData.types;
+    return {
+      primaryType: typedData.primaryType,
+      domain: TypedData.decodeStruct("EIP712Domain", typedData.domain, types),
+      message: TypedData.decodeStruct(typedData.primaryType, typedData.message, types),
+    };
+  }
+
+  static decodeStruct(typeName, data, types) {
+    return (types[typeName] || []).map((field) => TypedData.decodeField(field.name, field.type, (data || {})[field.name], types));
+  }
+
+  static decodeField(name, type, value, types) {
+    if (/\[\d*\]$/.test(type)) {
+      const itemType = type.replace(/\[\d*\]$/, "");
+      return {
+        name: name,
+        type: type,
+        children: (value || []).map((item, index) => TypedData.decodeField(`${name}[${index}]`, itemType, item, types)),
+      };
+    }
+    if (types[type]) {
+      return { name: name, type: type, children: TypedData.decodeStruct(type, value, types) };
+    }
+    return { name: name, type: type, value: TypedData.formatValue(value) };
+  }
+
+  static formatValue(value) {
+    if (value === undefined || value === null) {
+      return "";
+    }
+    return typeof value === "object" ? JSON.stringify(value) : String(value);
+  }
+
+  static baseType(type) {
+    return type.replace(/(\[\d*\])+$/, "");
+  }
+
+  static parseChainId(chainId) {
+    if (typeof chainId === "number") {
+      return chainId;
+    }
+    if (typeof chainId === "string") {
+      return chainId.indexOf("0x") === 0 ? Utils.hexToInt(chainId) : Number.parseInt(chainId, 10);
+    }
+    return NaN;
+  }
+}
+
+module.exports = TypedData;
@@ -7,12 +7,39 @@
 "use strict";
 
 import { Buffer } from "buffer";
+import { BN, toChecksumAddress } from "ethereumjs-util";
 
 class Utils {
   static genId() {
     return new Date().getTime() + Math.floor(Math.random() * 1000);
   }
 
+  // RFC 4122 version 4
+  static genUUID() {
+    const bytes = new Uint8Array(16);
+    if (window.crypto && window.crypto.getRandomValues) {
+      window.crypto.getRandomValues(bytes);
+    } else {
+      for (let i = 0; i < bytes.length; i++) {
+        bytes[i] = Math.floor(Math.random() * 256);
+      }
+    }
+    bytes[6] = (bytes[6] & 0x0f) | 0x40;
+    bytes[8] = (bytes[8] & 0x3f) | 0x80;
+    const hex = Buffer.from(bytes).toString("hex");
+    return [
+      hex.slice(0, 8),
+      hex.slice(8, 12),
+      hex.slice(12, 16),
+      hex.slice(16, 20),
+      hex.slice(20),
+    ].join("-");
+  }
+
+  static delay(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+  }
+
   static flatMap(array, func) {
     return [].concat(...array.map(func));
   }
@@ -39,6 +66,30 @@ class Utils {
     return "0x" + hexString;
   }
 
+  // value: number | decimal string | hex string, returns a minimal hex quantity
+  static toQuantity(value) {
+    let bn;
+    if (typeof value === "number") {
+      if (!Number.isSafeInteger(value) || value < 0) {
+        throw new Error(`${value} is not a valid quantity`);
+      }
+      bn = new BN(value);
+    } else if (typeof value === "string" && /^0x[0-9a-fA-F]+$/.test(value)) {
+      bn = new BN(value.slice(2), 16);
+    } else if (typeof value === "string" && /^[0-9]+$/.test(value)) {
+      bn = new BN(value, 10);
+    } else if (BN.isBN(value)) {
+      bn = value;
+    } else {
+      throw new Error(`${value} is not a valid quantity`);
+    }
+    return "0x" + bn.toString(16);
+  }
+
+  static hexToBN(hexString) {
+    return new BN((hexString || "0x0").replace("0x", ""), 16);
+  }
+
   // message: Bytes | string
   static messageToBuffer(message) {
     var buffer;
@@ -54,44 +105,29 @@ class Utils {
     return "0x" + Buffer.from(buf).toString("hex");
   }
 
-  static handleSignParams(address, params) {
+  // EIP-55
+  static toChecksumAddress(address) {
+    return toChecksumAddress(address);
+  }
+
+  // addresses: string | string[], the accounts that may sign
+  // returns {data, address}, address is the account param when there is one
+  static handleSignParams(addresses, params) {
     if (!params) {
       return { data: "" };
     }
     if (params.length < 2) {
       return { data: params[0] };
     }
-    if (address.toLowerCase() == params[0].toLowerCase()) {
-      return { data: params[1] };
+    const accounts = [].concat(addresses || []).map((address) => address.toLowerCase());
+    if (typeof params[0] === "string" && accounts.indexOf(params[0].toLowerCase()) !== -1) {
+      return { data: params[1], address: params[0] };
+    } else if (typeof params[1] === "string" && accounts.indexOf(params[1].toLowerCase()) !== -1) {
+      return { data: params[0], address: params[1] };
     } else {
       return { data: params[0] };
     }
   }
-
-  static getIconLink() {
-    var favicons = [];
-    var nodeList = document.getElementsByTagName('link');
-    for (var i = 0; i < nodeList.length; i++)
-    {
-      if((nodeList[i].getAttribute('rel') == 'icon') || (nodeList[i].getAttribute('rel') == 'shortcut icon'))
-      {
-        const node = nodeList[i];
-        if (node.getAttribute('href') != null) {
-          favicons.push({
-              url: node.getAttribute('href'),
-              sizes: node.getAttribute('sizes')
-          });
-        }
-      }
-    }
-    if (favicons.length == 0) {
-      return `${window.location.origin}/favicon.ico`;
-    } else if( favicons[0].url.indexOf("://") > 0) {
-      return favicons[0].url;
-    } else {
-      return `${window.location.origin}${favicons[0].url.indexOf("/") == 0 ? "": "/"}${favicons[0].url}`;
-    }
-  }
 }
 
 module.exports = Utils;